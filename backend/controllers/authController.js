@@ -1,7 +1,86 @@
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendEmail } = require('../utils/mail');
+const { sendVerificationEmail, resendWaitMs } = require('../utils/emailVerification');
+const { appUrl } = require('../utils/mail/templates');
+const {
+  signToken,
+  verifyToken,
+  hashToken,
+  cookieOptions,
+  setAuthCookies,
+  clearAuthCookies
+} = require('../utils/tokens');
+
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_TIME_MS = 15 * 60 * 1000;
+const RESET_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+// Count a failed password or two-factor code towards the account lock.
+// One pipeline update, so parallel failures each add to the count.
+const recordFailedLogin = (user) => {
+  const now = new Date();
+  const lockExpired = {
+    $and: [{ $ne: [{ $ifNull: ['$lockUntil', null] }, null] }, { $lte: ['$lockUntil', now] }]
+  };
+  return User.updateOne({ _id: user._id }, [
+    // Attempts start over once an earlier lock has expired
+    {
+      $set: {
+        loginAttempts: {
+          $cond: [lockExpired, 1, { $add: [{ $ifNull: ['$loginAttempts', 0] }, 1] }]
+        },
+        lockUntil: { $cond: [lockExpired, null, '$lockUntil'] }
+      }
+    },
+    {
+      $set: {
+        lockUntil: {
+          $cond: [
+            {
+              $and: [
+                { $gte: ['$loginAttempts', MAX_LOGIN_ATTEMPTS] },
+                { $eq: [{ $ifNull: ['$lockUntil', null] }, null] }
+              ]
+            },
+            new Date(now.getTime() + LOCK_TIME_MS),
+            '$lockUntil'
+          ]
+        }
+      }
+    }
+  ]);
+};
+
+const lockedResponse = (res, user) => {
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+  return res.status(403).json({ error: `Account locked. Try again in ${retryAfter} seconds` });
+};
+
+// Start a session for a fully authenticated user and send the profile
+const completeLogin = async (req, res, user) => {
+  // Each login is a new session, so other devices stay signed in
+  const session = Session.start(user._id, { userAgent: req.get('user-agent'), ip: req.ip });
+  const { accessToken, refreshToken } = setAuthCookies(res, user._id, session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  // Reset login attempts
+  await User.updateOne({ _id: user._id }, { loginAttempts: 0, lockUntil: null });
+
+  // The token is also returned for clients that send a Bearer header
+  res.json({
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    isAdmin: user.isAdmin,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    twoFactorEnrolmentRequired: user.mustEnrolTwoFactor(),
+    token: accessToken
+  });
+};
 
 const authController = {
   login: async (req, res) => {
@@ -10,85 +89,79 @@ const authController = {
       const user = await User.findOne({ email }).select('+password +loginAttempts +lockUntil');
 
       // Account lock check
-      if (user?.lockUntil && user.lockUntil > Date.now()) {
-        const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
-        return res.status(403).json({ error: `Account locked. Try again in ${retryAfter} seconds` });
-      }
+      if (user?.isLocked) return lockedResponse(res, user);
 
-      if (!user || !(await bcrypt.compare(password, user.password))) {
-        await User.findByIdAndUpdate(user?._id, {
-          $inc: { loginAttempts: 1 },
-          $set: { 
-            lockUntil: user?.loginAttempts >= 4 ? Date.now() + 15*60*1000 : null 
-          }
-        });
+      if (!user || !(await user.comparePassword(password))) {
+        if (user) await recordFailedLogin(user);
         throw new Error('Invalid credentials');
       }
 
-      // Reset login attempts
-      await User.findByIdAndUpdate(user._id, {
-        loginAttempts: 0,
-        lockUntil: null
-      });
+      // With 2FA on, the password only earns a short-lived challenge for
+      // the code step; failed attempts keep counting until then
+      if (user.twoFactorEnabled) {
+        const challengeToken = signToken('mfa', user._id);
+        await User.startTwoFactorChallenge(user._id, challengeToken);
+        return res.json({ twoFactorRequired: true, challengeToken });
+      }
 
-      // Generate tokens
-      const accessToken = jwt.sign(
-        { id: user._id },
-        process.env.JWT_ACCESS_SECRET,
-        { expiresIn: '15m' }
-      );
+      await completeLogin(req, res, user);
+    } catch (err) {
+      res.status(401).json({ error: err.message });
+    }
+  },
 
-      const refreshToken = jwt.sign(
-        { id: user._id },
-        process.env.JWT_REFRESH_SECRET,
-        { expiresIn: '7d' }
-      );
+  // Second login step: challenge token plus an authenticator or recovery code
+  loginTwoFactor: async (req, res) => {
+    try {
+      let decoded;
+      try {
+        decoded = verifyToken(req.body.challengeToken, 'mfa');
+      } catch (err) {
+        return res.status(401).json({ error: 'Login challenge expired, please sign in again' });
+      }
 
-      // Set cookies
-      res.cookie('accessToken', accessToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 15*60*1000 // 15 minutes
-      });
+      const user = await User.findById(decoded.id)
+        .select('+twoFactorSecret +loginAttempts +lockUntil');
+      if (!user?.twoFactorEnabled) {
+        return res.status(401).json({ error: 'Login challenge expired, please sign in again' });
+      }
+      if (user.isLocked) return lockedResponse(res, user);
 
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 7*24*60*60*1000 // 7 days
-      });
+      // Each challenge allows a few tries, claimed before the code is checked
+      // so parallel guesses cannot get past the limit
+      if (!(await User.claimTwoFactorAttempt(user._id, req.body.challengeToken))) {
+        return res.status(401).json({ error: 'Login challenge expired, please sign in again' });
+      }
 
-      // Save refresh token to DB
-      user.refreshToken = refreshToken;
-      await user.save();
+      if (!(await user.consumeTwoFactorCode(req.body.code))) {
+        await recordFailedLogin(user);
+        return res.status(401).json({ error: 'Invalid authentication code' });
+      }
 
-      res.json({
-        id: user.id,
-        name: user.name,
-        email: user.email
-      });
+      await User.endTwoFactorChallenge(user._id);
+      await completeLogin(req, res, user);
     } catch (err) {
-      res.status(401).json({ error: err.message });
+      res.status(401).json({ error: 'Two-factor login failed' });
     }
   },
 
+  // Rotate the refresh token; req.user and req.authSession are set by
+  // verifyRefreshToken
   refresh: async (req, res) => {
     try {
-      const user = req.user;
-      const newAccessToken = jwt.sign(
-        { id: user._id },
-        process.env.JWT_ACCESS_SECRET,
-        { expiresIn: '15m' }
+      const session = req.authSession;
+      const refreshToken = signToken('refresh', req.user._id, session._id);
+      const rotated = await Session.rotate(
+        session._id,
+        session.tokenHash,
+        hashToken(refreshToken),
+        { ip: req.ip }
       );
+      // A concurrent refresh rotated it first
+      if (!rotated) return res.status(401).json({ error: 'Refresh token already used' });
 
-      res.cookie('accessToken', newAccessToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 15*60*1000
-      });
-
+      res.cookie('refreshToken', refreshToken, cookieOptions('refresh'));
+      res.cookie('accessToken', signToken('access', req.user._id, session._id), cookieOptions('access'));
       res.json({ success: true });
     } catch (err) {
       res.status(401).json({ error: 'Refresh failed' });
@@ -97,11 +170,9 @@ const authController = {
 
   logout: async (req, res) => {
     try {
-      // Clear refresh token from DB
-      await User.findByIdAndUpdate(req.user.id, { refreshToken: null });
-      
-      res.clearCookie('accessToken');
-      res.clearCookie('refreshToken');
+      await Session.revoke({ _id: req.authSession._id }, 'logout');
+
+      clearAuthCookies(res);
       res.json({ success: true });
     } catch (err) {
       res.status(500).json({ error: 'Logout failed' });
@@ -111,41 +182,133 @@ const authController = {
   forgotPassword: async (req, res) => {
     try {
       const user = await User.findOne({ email: req.body.email });
-      if (!user) throw new Error('User not found');
 
-      const resetToken = crypto.randomBytes(20).toString('hex');
-      const resetHash = await bcrypt.hash(resetToken, 10);
+      // Same answer either way, so this does not reveal who has an account
+      if (user) {
+        const resetToken = crypto.randomBytes(20).toString('hex');
+        user.resetPasswordToken = hashToken(resetToken);
+        user.resetPasswordExpire = Date.now() + RESET_TOKEN_TTL_MS;
+        await user.save();
 
-      user.resetPasswordToken = resetHash;
-      user.resetPasswordExpire = Date.now() + 10*60*1000; // 10 minutes
-      await user.save();
+        // Don't wait for SMTP: response time must not depend on the account existing
+        await sendEmail('passwordReset', user.email, {
+          name: user.name,
+          resetUrl: appUrl(`/reset-password?token=${resetToken}`),
+          expiresInMinutes: RESET_TOKEN_TTL_MS / 60000
+        }, { background: true });
+      }
 
-      // In production: Send email with resetToken
-      res.json({ resetToken });
+      res.json({ message: 'If that email is registered, a reset link has been sent' });
     } catch (err) {
-      res.status(400).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to start password reset' });
     }
   },
 
   resetPassword: async (req, res) => {
     try {
       const user = await User.findOne({
+        resetPasswordToken: hashToken(req.body.token),
         resetPasswordExpire: { $gt: Date.now() }
       });
+      if (!user) throw new Error('Invalid or expired token');
 
-      if (!user || !(await bcrypt.compare(req.body.token, user.resetPasswordToken))) {
-        throw new Error('Invalid or expired token');
-      }
-
+      // A new password also signs out every session and lifts any lock
       user.password = req.body.password;
       user.resetPasswordToken = undefined;
       user.resetPasswordExpire = undefined;
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
       await user.save();
+      await Session.revoke({ userId: user._id }, 'password_reset');
 
       res.json({ success: true });
     } catch (err) {
       res.status(400).json({ error: err.message });
     }
+  },
+
+  verifyEmail: async (req, res) => {
+    try {
+      let decoded;
+      try {
+        decoded = verifyToken(req.query.token, 'email');
+      } catch (err) {
+        return res.status(400).json({ error: 'Invalid or expired verification link' });
+      }
+
+      // The link only counts for the address it was sent to
+      const user = await User.findById(decoded.id);
+      if (!user || user.email !== decoded.email) {
+        return res.status(400).json({ error: 'Invalid or expired verification link' });
+      }
+
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+        sendEmail('welcome', user.email, { name: user.name });
+      }
+
+      res.json({ success: true, emailVerified: true });
+    } catch (err) {
+      res.status(500).json({ error: 'Email verification failed' });
+    }
+  },
+
+  resendVerification: async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id).select('+verificationSentAt');
+      if (user.emailVerified) {
+        return res.status(400).json({ error: 'Email address is already verified' });
+      }
+
+      const waitMs = resendWaitMs(user);
+      if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: `Please wait ${retryAfter} seconds before requesting another email`
+        });
+      }
+
+      await sendVerificationEmail(user);
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to send verification email' });
+    }
+  },
+
+  // Signed-in devices, most recently used first
+  getSessions: async (req, res) => {
+    try {
+      const sessions = await Session.find({
+        userId: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastUsedAt: -1 });
+
+      res.json(sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === req.sessionId
+      })));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+  },
+
+  revokeSession: async (req, res) => {
+    try {
+      const { modifiedCount } = await Session.revoke(
+        { _id: req.params.id, userId: req.user._id },
+        'user'
+      );
+      if (!modifiedCount) return res.status(404).json({ error: 'Session not found' });
+
+      if (req.params.id === req.sessionId) clearAuthCookies(res);
+      res.status(204).send();
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to revoke session' });
+    }
   }
 };
 
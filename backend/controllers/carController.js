@@ -1,5 +1,14 @@
 const Car = require('../models/Car');
 const Location = require('../models/Location');
+const {
+  getUnavailableCarIds,
+  getProjectedLocationIds,
+  getCarIdsArrivingAt
+} = require('../utils/availability');
+const { quoteForCar, quoteForCars } = require('../utils/pricing');
+const { buildCalendars } = require('../utils/calendar');
+const { removeUrls } = require('../utils/storage');
+const { discardUpload } = require('../middleware/fileUpload');
 
 const handleErrors = (res, error, defaultMessage) => {
   console.error(error);
@@ -13,13 +22,45 @@ const handleErrors = (res, error, defaultMessage) => {
   res.status(500).json({ error: defaultMessage });
 };
 
+// Nearest first, keeping the price order among equally distant cars
+const byDistance = cars => [...cars].sort((a, b) => a.distanceKm - b.distanceKm);
+
 // Get all cars with filters
 const getCars = async (req, res) => {
   try {
-    const { locationId, available, minPrice, maxPrice, brand } = req.query;
+    const {
+      locationId, available, minPrice, maxPrice, brand, startDate, endDate, lat, lng, radius
+    } = req.query;
     const query = {};
-    
-    if (locationId) query.locationId = locationId;
+    const dated = startDate && endDate;
+
+    // With dates, location means where the car will be at pickup time
+    let locationIds = locationId ? [locationId] : null;
+
+    // Distance (km) from the searched point to each location in range
+    let distances;
+    if (lat && lng) {
+      const nearby = await Location.findNearby({
+        lat: parseFloat(lat),
+        lng: parseFloat(lng),
+        radiusKm: parseFloat(radius) || 25
+      });
+      distances = new Map(nearby.map(location => [
+        location._id.toString(),
+        Math.round(location.distance / 10) / 100
+      ]));
+      locationIds = (locationIds || [...distances.keys()]).filter(id => distances.has(id));
+    }
+
+    if (locationIds && !dated) {
+      query.locationId = { $in: locationIds };
+    } else if (locationIds) {
+      // The car may be elsewhere now: load the cars at those locations or
+      // booked to be dropped off there, and filter exactly after projecting
+      const arriving = await getCarIdsArrivingAt(locationIds, startDate);
+      query.$or = [{ locationId: { $in: locationIds } }, { _id: { $in: arriving } }];
+    }
+
     if (available) query.available = available === 'true';
     if (minPrice || maxPrice) {
       query.priceByDay = {};
@@ -32,7 +73,40 @@ const getCars = async (req, res) => {
       .populate('location', 'name address')
       .sort({ priceByDay: 1 });
 
-    res.json(cars);
+    if (!dated) {
+      if (!distances) return res.json(cars);
+      return res.json(byDistance(cars.map(car => ({
+        ...car.toJSON(),
+        distanceKm: distances.get(car.locationId.toString())
+      }))));
+    }
+
+    // Exclude cars already booked (or in turnaround) for the requested window
+    const [unavailable, projected] = await Promise.all([
+      getUnavailableCarIds(cars.map(car => car._id), startDate, endDate),
+      getProjectedLocationIds(cars, startDate)
+    ]);
+    const availableCars = cars.filter(car => {
+      const carId = car._id.toString();
+      if (unavailable.has(carId)) return false;
+      if (distances && !distances.has(projected.get(carId))) return false;
+      return !locationId || projected.get(carId) === locationId;
+    });
+
+    const quotes = await quoteForCars(availableCars, startDate, endDate);
+    const results = availableCars.map(car => {
+      const quote = quotes.get(car._id.toString());
+      const pickupLocationId = projected.get(car._id.toString());
+      return {
+        ...car.toJSON(),
+        pickupLocationId,
+        distanceKm: distances?.get(pickupLocationId),
+        rentalDays: quote.days,
+        totalPrice: quote.total
+      };
+    });
+
+    res.json(distances ? byDistance(results) : results);
   } catch (err) {
     handleErrors(res, err, 'Failed to fetch cars');
   }
@@ -49,6 +123,38 @@ const getCarById = async (req, res) => {
   }
 };
 
+// Get itemized price quote for a rental window
+const getQuote = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const car = await Car.findById(req.params.id);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+
+    const quote = await quoteForCar(car, startDate, endDate);
+    res.json({ carId: car.id, startDate, endDate, ...quote });
+  } catch (err) {
+    handleErrors(res, err, 'Failed to calculate quote');
+  }
+};
+
+// Get per-day availability calendar for a car
+const getCarCalendar = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    const car = await Car.findById(req.params.id);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+
+    const [calendar] = await buildCalendars([car], from, to);
+    res.json(calendar);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to build calendar');
+  }
+};
+
 // Create car
 const createCar = async (req, res) => {
   try {
@@ -101,10 +207,158 @@ const deleteCar = async (req, res) => {
   }
 };
 
+// Remove uploaded car images from storage; external URLs are left alone
+const deleteImageFiles = urls => removeUrls(urls, 'cars/');
+
+// Gallery entry for a processed upload, with its size variants
+const imageFromUpload = (file, alt) => ({
+  url: file.url,
+  alt,
+  ...file.metadata,
+  variants: file.variants
+});
+
+// Add several images to the gallery in one multipart request
+const addCarImages = async (req, res) => {
+  try {
+    const car = await Car.findById(req.params.id);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+
+    car.adoptLegacyImage();
+    if (car.images.length + req.files.length > Car.MAX_GALLERY_IMAGES) {
+      return res.status(400).json({
+        error: `A car cannot have more than ${Car.MAX_GALLERY_IMAGES} images`
+      });
+    }
+
+    // Alt texts come as one `alt` field per image, in upload order
+    const alts = [].concat(req.body.alt || []);
+    req.files.forEach((file, i) => {
+      car.images.push(imageFromUpload(file, alts[i]));
+    });
+    await car.save();
+
+    res.status(201).json(car);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to add images');
+  }
+};
+
+// Reorder the gallery; `order` must list every image id exactly once
+const reorderCarImages = async (req, res) => {
+  try {
+    const { order } = req.body;
+    const car = await Car.findById(req.params.id);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+
+    const images = order.map(id => car.images.id(id));
+    if (images.includes(null) || new Set(order).size !== car.images.length ||
+        order.length !== car.images.length) {
+      return res.status(400).json({ error: 'Order must list every image exactly once' });
+    }
+
+    car.images = images.map(image => image.toObject());
+    await car.save();
+    res.json(car);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to reorder images');
+  }
+};
+
+// Update an image's alt text
+const updateCarImage = async (req, res) => {
+  try {
+    const car = await Car.findById(req.params.id);
+    const image = car?.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+
+    image.alt = req.body.alt;
+    await car.save();
+    res.json(car);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update image');
+  }
+};
+
+// Make an image the cover
+const setCoverImage = async (req, res) => {
+  try {
+    const car = await Car.findById(req.params.id);
+    const image = car?.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+
+    car.coverImageId = image._id;
+    await car.save();
+    res.json(car);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to set cover image');
+  }
+};
+
+// Delete one image; the next image becomes the cover if needed
+const deleteCarImage = async (req, res) => {
+  try {
+    const car = await Car.findById(req.params.id);
+    const image = car?.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+
+    image.deleteOne();
+    await car.save();
+
+    await deleteImageFiles(image.fileUrls());
+    res.json(car);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to delete image');
+  }
+};
+
+// Replace the cover image with a single upload
+const replaceCoverImage = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No image uploaded' });
+    const car = await Car.findById(req.params.id);
+    if (!car) {
+      await discardUpload(req.file);
+      return res.status(404).json({ error: 'Car not found' });
+    }
+
+    // Cars from before galleries only have an imageUrl
+    const previousUrls = car.images.length ? car.coverImage().fileUrls() : [car.imageUrl];
+    const image = car.images.create(imageFromUpload(req.file));
+    const coverIndex = car.images.indexOf(car.coverImage());
+    if (coverIndex === -1) {
+      car.images.push(image);
+    } else {
+      car.images.set(coverIndex, image);
+    }
+    car.coverImageId = image._id;
+    await car.save();
+
+    await deleteImageFiles(previousUrls);
+    res.json({
+      message: 'Image uploaded successfully',
+      imageUrl: car.imageUrl,
+      image
+    });
+  } catch (err) {
+    console.error(err);
+    if (req.file) await discardUpload(req.file).catch(() => {});
+    res.status(500).json({ error: 'Image upload failed' });
+  }
+};
+
 module.exports = {
   getCars,
   getCarById,
+  getQuote,
+  getCarCalendar,
   createCar,
   updateCar,
-  deleteCar
+  deleteCar,
+  addCarImages,
+  reorderCarImages,
+  updateCarImage,
+  setCoverImage,
+  deleteCarImage,
+  replaceCoverImage
 };
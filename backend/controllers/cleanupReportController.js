@@ -0,0 +1,66 @@
+const CleanupReport = require('../models/CleanupReport');
+const { cleanOrphanedImages } = require('../utils/cleanup');
+
+const handleErrors = (res, error, defaultMessage) => {
+  console.error(error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: defaultMessage });
+};
+
+// Get recent cleanup reports, newest first (orphan lists left out)
+const getCleanupReports = async (req, res) => {
+  try {
+    const { status, trigger } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = {};
+
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const reports = await CleanupReport.find(query)
+      .select('-orphans')
+      .sort({ startedAt: -1 })
+      .limit(limit);
+    res.json(reports);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch cleanup reports');
+  }
+};
+
+// Get single cleanup report with its orphan list
+const getCleanupReportById = async (req, res) => {
+  try {
+    const report = await CleanupReport.findById(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Cleanup report not found' });
+    res.json(report);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch cleanup report');
+  }
+};
+
+// Run the orphaned image cleanup now
+const runCleanup = async (req, res) => {
+  try {
+    const { dryRun = true, minAgeMinutes } = req.body;
+    const options = {
+      dryRun,
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    };
+    if (minAgeMinutes !== undefined) options.minAgeMs = minAgeMinutes * 60 * 1000;
+
+    const report = await cleanOrphanedImages(options);
+    res.status(201).json(report);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to run cleanup');
+  }
+};
+
+module.exports = {
+  getCleanupReports,
+  getCleanupReportById,
+  runCleanup
+};
@@ -0,0 +1,150 @@
+const DamageReport = require('../models/DamageReport');
+const { removeUrls } = require('../utils/storage');
+
+const handleErrors = (res, error, defaultMessage) => {
+  console.error(error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: defaultMessage });
+};
+
+const photoUrls = (req) => (req.files || []).map(file => file.url);
+
+// Remove stored photo files once they are no longer referenced
+const deletePhotoFiles = urls => removeUrls(urls, 'damage/');
+
+// Get all damage reports
+const getDamageReports = async (req, res) => {
+  try {
+    const { carId, reservationId, status, severity } = req.query;
+    const query = {};
+
+    if (carId) query.carId = carId;
+    if (reservationId) query.reservationId = reservationId;
+    if (status) query.status = status;
+    if (severity) query.severity = severity;
+
+    const reports = await DamageReport.find(query)
+      .populate('car', 'brand model registrationNumber')
+      .sort({ createdAt: -1 });
+    res.json(reports);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch damage reports');
+  }
+};
+
+// Get single damage report
+const getDamageReportById = async (req, res) => {
+  try {
+    const report = await DamageReport.findById(req.params.id)
+      .populate('car', 'brand model registrationNumber');
+    if (!report) return res.status(404).json({ error: 'Damage report not found' });
+    res.json(report);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch damage report');
+  }
+};
+
+// Create damage report with optional photos
+const createDamageReport = async (req, res) => {
+  try {
+    const { carId, reservationId, severity, area, description, estimatedCost } = req.body;
+
+    const report = new DamageReport({
+      carId,
+      reservationId,
+      severity,
+      area,
+      description,
+      estimatedCost,
+      photos: photoUrls(req),
+      reportedBy: req.user._id
+    });
+    await report.save();
+    res.status(201).json(report);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to create damage report');
+  }
+};
+
+// Update damage details and costs
+const updateDamageReport = async (req, res) => {
+  try {
+    const report = await DamageReport.findById(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Damage report not found' });
+
+    const { severity, area, description, estimatedCost, repairCost } = req.body;
+    Object.entries({ severity, area, description, estimatedCost, repairCost })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([key, value]) => report.set(key, value));
+
+    await report.save();
+    res.json(report);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update damage report');
+  }
+};
+
+// Move a report through open / in_repair / resolved
+const updateDamageReportStatus = async (req, res) => {
+  try {
+    const { status, repairCost } = req.body;
+    const report = await DamageReport.findById(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Damage report not found' });
+
+    const allowed = report.allowedTransitions();
+    if (!allowed.includes(status)) {
+      return res.status(409).json({
+        error: `Cannot change status from '${report.status}' to '${status}'`,
+        currentStatus: report.status,
+        allowedStatuses: allowed
+      });
+    }
+
+    report.status = status;
+    if (repairCost !== undefined) report.repairCost = repairCost;
+    await report.save();
+    res.json(report);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update damage report');
+  }
+};
+
+// Attach more photos to a report
+const addDamagePhotos = async (req, res) => {
+  try {
+    const report = await DamageReport.findById(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Damage report not found' });
+
+    report.photos.push(...photoUrls(req));
+    await report.save();
+    res.json(report);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to add photos');
+  }
+};
+
+// Delete damage report and its photos
+const deleteDamageReport = async (req, res) => {
+  try {
+    const deleted = await DamageReport.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Damage report not found' });
+
+    await deletePhotoFiles(deleted.photos);
+    res.status(204).send();
+  } catch (err) {
+    handleErrors(res, err, 'Failed to delete damage report');
+  }
+};
+
+module.exports = {
+  getDamageReports,
+  getDamageReportById,
+  createDamageReport,
+  updateDamageReport,
+  updateDamageReportStatus,
+  addDamagePhotos,
+  deleteDamageReport
+};
@@ -0,0 +1,86 @@
+const Extra = require('../models/Extra');
+const Location = require('../models/Location');
+
+const handleErrors = (res, error, defaultMessage) => {
+  console.error(error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: defaultMessage });
+};
+
+// Get extras, filterable by location and category
+const getExtras = async (req, res) => {
+  try {
+    const { locationId, category, active } = req.query;
+    const query = {};
+
+    if (locationId) query.locationId = locationId;
+    if (category) query.category = category;
+    if (active) query.active = active === 'true';
+
+    const extras = await Extra.find(query).sort({ category: 1, name: 1 });
+    res.json(extras);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch extras');
+  }
+};
+
+// Get single extra
+const getExtraById = async (req, res) => {
+  try {
+    const extra = await Extra.findById(req.params.id);
+    if (!extra) return res.status(404).json({ error: 'Extra not found' });
+    res.json(extra);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch extra');
+  }
+};
+
+// Create extra
+const createExtra = async (req, res) => {
+  try {
+    const location = await Location.findById(req.body.locationId);
+    if (!location) return res.status(400).json({ error: 'Invalid location' });
+
+    const extra = new Extra(req.body);
+    await extra.save();
+    res.status(201).json(extra);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to create extra');
+  }
+};
+
+// Update extra
+const updateExtra = async (req, res) => {
+  try {
+    const extra = await Extra.findById(req.params.id);
+    if (!extra) return res.status(404).json({ error: 'Extra not found' });
+
+    extra.set(req.body);
+    await extra.save();
+    res.json(extra);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update extra');
+  }
+};
+
+// Delete extra
+const deleteExtra = async (req, res) => {
+  try {
+    const deleted = await Extra.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Extra not found' });
+    res.status(204).send();
+  } catch (err) {
+    handleErrors(res, err, 'Failed to delete extra');
+  }
+};
+
+module.exports = {
+  getExtras,
+  getExtraById,
+  createExtra,
+  updateExtra,
+  deleteExtra
+};
@@ -1,6 +1,8 @@
 const Location = require('../models/Location');
 const City = require('../models/City');
 const User = require('../models/User');
+const Car = require('../models/Car');
+const { buildCalendars, summarizeOccupancy } = require('../utils/calendar');
 
 // Update handleErrors function
 const handleErrors = (res, error, defaultMessage) => {
@@ -17,6 +19,12 @@ const handleErrors = (res, error, defaultMessage) => {
   }
   res.status(500).json({ error: defaultMessage });
 };
+// GeoJSON point from lat/lng request values
+const toPoint = (lat, lng) => ({
+  type: 'Point',
+  coordinates: [parseFloat(lng), parseFloat(lat)]
+});
+
 // Get all locations with filters
 const getLocations = async (req, res) => {
   try {
@@ -45,6 +53,27 @@ const getLocations = async (req, res) => {
   }
 };
 
+// Get locations near a point, nearest first
+const getNearbyLocations = async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radiusKm = parseFloat(req.query.radius) || 25;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const results = await Location.findNearby({ lat, lng, radiusKm, limit });
+    const locations = results.map(result => Location.hydrate(result));
+    await Location.populate(locations, { path: 'city', select: 'name' });
+
+    res.json(locations.map((location, i) => ({
+      ...location.toJSON(),
+      distanceKm: Math.round(results[i].distance / 10) / 100
+    })));
+  } catch (err) {
+    handleErrors(res, err, 'Failed to find nearby locations');
+  }
+};
+
 // Get single location
 const getLocationById = async (req, res) => {
   try {
@@ -62,7 +91,11 @@ const getLocationById = async (req, res) => {
 // Create location
 const createLocation = async (req, res) => {
   try {
-    const { name, address, phone_number, cityId, userId } = req.body;
+    const {
+      name, address, phone_number, cityId, userId,
+      pricing, turnaroundHours, cancellationPolicy, lat, lng,
+      timezone, openingHours, hoursExceptions, afterHoursKeyDrop
+    } = req.body;
     
     // Verify references exist
     const [city, user] = await Promise.all([
@@ -73,7 +106,12 @@ const createLocation = async (req, res) => {
     if (!city) return res.status(400).json({ error: 'Invalid city' });
     if (!user) return res.status(400).json({ error: 'Invalid user' });
 
-    const location = new Location({ name, address, phone_number, cityId, userId });
+    const location = new Location({
+      name, address, phone_number, cityId, userId,
+      pricing, turnaroundHours, cancellationPolicy,
+      timezone, openingHours, hoursExceptions, afterHoursKeyDrop,
+      geo: lat !== undefined ? toPoint(lat, lng) : undefined
+    });
     await location.save();
     
     // Properly populate after save
@@ -91,7 +129,17 @@ const createLocation = async (req, res) => {
 // Update location
 const updateLocation = async (req, res) => {
   try {
-    const updates = req.body;
+    const { lat, lng, ...updates } = req.body;
+    if (lat !== undefined) updates.geo = toPoint(lat, lng);
+
+    // Set only the pricing rules sent; the whole subdocument would otherwise
+    // be replaced and every other rule reset to its default
+    if (updates.pricing && typeof updates.pricing === 'object') {
+      Object.entries(updates.pricing).forEach(([rule, value]) => {
+        updates[`pricing.${rule}`] = value;
+      });
+      delete updates.pricing;
+    }
     
     // Verify references if updated
     if (updates.cityId) {
@@ -117,6 +165,38 @@ const updateLocation = async (req, res) => {
   }
 };
 
+// Fleet occupancy grid for every car at a location
+const getLocationCalendar = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    const location = await Location.findById(req.params.id);
+    if (!location) return res.status(404).json({ error: 'Location not found' });
+
+    const cars = await Car.find({ locationId: location._id })
+      .select('brand model registrationNumber available')
+      .sort({ brand: 1, model: 1 });
+    const calendars = await buildCalendars(cars, from, to);
+
+    res.json({
+      locationId: location.id,
+      cars: cars.map((car, i) => ({
+        carId: car.id,
+        brand: car.brand,
+        model: car.model,
+        registrationNumber: car.registrationNumber,
+        days: calendars[i].days
+      })),
+      occupancy: summarizeOccupancy(calendars)
+    });
+  } catch (err) {
+    handleErrors(res, err, 'Failed to build calendar');
+  }
+};
+
 // Add these new methods
 const searchLocations = async (req, res) => {
   try {
@@ -184,7 +264,9 @@ const verifyOwnership = async (req, res, next) => {
 };
 module.exports = {
   getLocations,
+  getNearbyLocations,
   getLocationById,
+  getLocationCalendar,
   createLocation,
   updateLocation,
   deleteLocation,
@@ -0,0 +1,142 @@
+const Maintenance = require('../models/Maintenance');
+const Car = require('../models/Car');
+const Reservation = require('../models/Reservation');
+const { overlapFilter } = require('../utils/availability');
+
+const handleErrors = (res, error, defaultMessage) => {
+  console.error(error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: defaultMessage });
+};
+
+// Bookings that already hold the car while it is in the workshop; they are
+// reported so staff can move or cancel them
+const findReservationConflicts = (maintenance) => {
+  if (!['scheduled', 'in_progress'].includes(maintenance.status)) return [];
+
+  return Reservation.find({
+    ...overlapFilter(maintenance.startDate, maintenance.endDate),
+    carId: maintenance.carId
+  })
+    .select('userId startDate endDate status')
+    .sort({ startDate: 1 });
+};
+
+// Get all maintenance records
+const getMaintenanceRecords = async (req, res) => {
+  try {
+    const { carId, status, type, from, to } = req.query;
+    const query = {};
+
+    if (carId) query.carId = carId;
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (from) query.endDate = { $gt: new Date(from) };
+    if (to) query.startDate = { $lt: new Date(to) };
+
+    const records = await Maintenance.find(query)
+      .populate('car', 'brand model registrationNumber')
+      .sort({ startDate: 1 });
+    res.json(records);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch maintenance records');
+  }
+};
+
+// Get cars that are due (or nearly due) for a service
+const getServiceDue = async (req, res) => {
+  try {
+    const withinKm = parseInt(req.query.withinKm) || 0;
+    const query = {
+      mileage: { $ne: null },
+      $expr: {
+        $gte: [
+          '$mileage',
+          // Cars saved before service tracking lack these fields; use the schema defaults
+          {
+            $subtract: [
+              {
+                $add: [
+                  { $ifNull: ['$lastServiceMileage', 0] },
+                  { $ifNull: ['$serviceIntervalKm', 15000] }
+                ]
+              },
+              withinKm
+            ]
+          }
+        ]
+      }
+    };
+    if (req.query.locationId) query.locationId = req.query.locationId;
+
+    const cars = await Car.find(query)
+      .select('brand model registrationNumber locationId mileage lastServiceMileage serviceIntervalKm');
+    res.json(cars);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch service reminders');
+  }
+};
+
+// Get single maintenance record
+const getMaintenanceById = async (req, res) => {
+  try {
+    const maintenance = await Maintenance.findById(req.params.id)
+      .populate('car', 'brand model registrationNumber');
+    if (!maintenance) return res.status(404).json({ error: 'Maintenance record not found' });
+    res.json(maintenance);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch maintenance record');
+  }
+};
+
+// Schedule maintenance
+const createMaintenance = async (req, res) => {
+  try {
+    const maintenance = new Maintenance(req.body);
+    await maintenance.save();
+
+    const conflicts = await findReservationConflicts(maintenance);
+    res.status(201).json({ maintenance, conflicts });
+  } catch (err) {
+    handleErrors(res, err, 'Failed to create maintenance record');
+  }
+};
+
+// Update maintenance (reschedule, progress, complete)
+const updateMaintenance = async (req, res) => {
+  try {
+    const maintenance = await Maintenance.findById(req.params.id);
+    if (!maintenance) return res.status(404).json({ error: 'Maintenance record not found' });
+
+    maintenance.set(req.body);
+    await maintenance.save();
+
+    const conflicts = await findReservationConflicts(maintenance);
+    res.json({ maintenance, conflicts });
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update maintenance record');
+  }
+};
+
+// Delete maintenance record
+const deleteMaintenance = async (req, res) => {
+  try {
+    const deleted = await Maintenance.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Maintenance record not found' });
+    res.status(204).send();
+  } catch (err) {
+    handleErrors(res, err, 'Failed to delete maintenance record');
+  }
+};
+
+module.exports = {
+  getMaintenanceRecords,
+  getServiceDue,
+  getMaintenanceById,
+  createMaintenance,
+  updateMaintenance,
+  deleteMaintenance
+};
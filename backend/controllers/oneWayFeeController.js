@@ -0,0 +1,74 @@
+const OneWayFee = require('../models/OneWayFee');
+
+const handleErrors = (res, error, defaultMessage) => {
+  console.error(error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'A fee already exists for this route' });
+  }
+  res.status(500).json({ error: defaultMessage });
+};
+
+// Get all one-way fees
+const getOneWayFees = async (req, res) => {
+  try {
+    const { fromLocationId, toLocationId, fromCityId, toCityId } = req.query;
+    const query = {};
+
+    if (fromLocationId) query.fromLocationId = fromLocationId;
+    if (toLocationId) query.toLocationId = toLocationId;
+    if (fromCityId) query.fromCityId = fromCityId;
+    if (toCityId) query.toCityId = toCityId;
+
+    const fees = await OneWayFee.find(query).sort({ createdAt: -1 });
+    res.json(fees);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch one-way fees');
+  }
+};
+
+// Create one-way fee
+const createOneWayFee = async (req, res) => {
+  try {
+    const fee = new OneWayFee(req.body);
+    await fee.save();
+    res.status(201).json(fee);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to create one-way fee');
+  }
+};
+
+// Update one-way fee
+const updateOneWayFee = async (req, res) => {
+  try {
+    const fee = await OneWayFee.findById(req.params.id);
+    if (!fee) return res.status(404).json({ error: 'One-way fee not found' });
+
+    fee.set(req.body);
+    await fee.save();
+    res.json(fee);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update one-way fee');
+  }
+};
+
+// Delete one-way fee
+const deleteOneWayFee = async (req, res) => {
+  try {
+    const deleted = await OneWayFee.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'One-way fee not found' });
+    res.status(204).send();
+  } catch (err) {
+    handleErrors(res, err, 'Failed to delete one-way fee');
+  }
+};
+
+module.exports = {
+  getOneWayFees,
+  createOneWayFee,
+  updateOneWayFee,
+  deleteOneWayFee
+};
@@ -0,0 +1,85 @@
+const PromoCode = require('../models/PromoCode');
+
+const handleErrors = (res, error, defaultMessage) => {
+  console.error(error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'Promo code already exists' });
+  }
+  res.status(500).json({ error: defaultMessage });
+};
+
+// Get all promo codes
+const getPromoCodes = async (req, res) => {
+  try {
+    const { active } = req.query;
+    const query = {};
+
+    if (active) query.active = active === 'true';
+
+    const promoCodes = await PromoCode.find(query).sort({ createdAt: -1 });
+    res.json(promoCodes);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch promo codes');
+  }
+};
+
+// Get single promo code with its redemptions
+const getPromoCodeById = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id).select('+redemptions');
+    if (!promoCode) return res.status(404).json({ error: 'Promo code not found' });
+    res.json(promoCode);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch promo code');
+  }
+};
+
+// Create promo code
+const createPromoCode = async (req, res) => {
+  try {
+    const { usedCount, redemptions, ...data } = req.body;
+    const promoCode = new PromoCode(data);
+    await promoCode.save();
+    res.status(201).json(promoCode);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to create promo code');
+  }
+};
+
+// Update promo code
+const updatePromoCode = async (req, res) => {
+  try {
+    const { usedCount, redemptions, ...updates } = req.body;
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) return res.status(404).json({ error: 'Promo code not found' });
+
+    promoCode.set(updates);
+    await promoCode.save();
+    res.json(promoCode);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update promo code');
+  }
+};
+
+// Delete promo code
+const deletePromoCode = async (req, res) => {
+  try {
+    const deleted = await PromoCode.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Promo code not found' });
+    res.status(204).send();
+  } catch (err) {
+    handleErrors(res, err, 'Failed to delete promo code');
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  getPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+};
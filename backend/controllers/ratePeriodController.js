@@ -0,0 +1,69 @@
+const RatePeriod = require('../models/RatePeriod');
+
+const handleErrors = (res, error, defaultMessage) => {
+  console.error(error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: defaultMessage });
+};
+
+// Get rate periods, filterable by car or location
+const getRatePeriods = async (req, res) => {
+  try {
+    const { carId, locationId } = req.query;
+    const query = {};
+
+    if (carId) query.carId = carId;
+    if (locationId) query.locationId = locationId;
+
+    const ratePeriods = await RatePeriod.find(query).sort({ startDate: 1 });
+    res.json(ratePeriods);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to fetch rate periods');
+  }
+};
+
+// Create rate period
+const createRatePeriod = async (req, res) => {
+  try {
+    const ratePeriod = new RatePeriod(req.body);
+    await ratePeriod.save();
+    res.status(201).json(ratePeriod);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to create rate period');
+  }
+};
+
+// Update rate period
+const updateRatePeriod = async (req, res) => {
+  try {
+    const ratePeriod = await RatePeriod.findById(req.params.id);
+    if (!ratePeriod) return res.status(404).json({ error: 'Rate period not found' });
+
+    ratePeriod.set(req.body);
+    await ratePeriod.save();
+    res.json(ratePeriod);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update rate period');
+  }
+};
+
+// Delete rate period
+const deleteRatePeriod = async (req, res) => {
+  try {
+    const deleted = await RatePeriod.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Rate period not found' });
+    res.status(204).send();
+  } catch (err) {
+    handleErrors(res, err, 'Failed to delete rate period');
+  }
+};
+
+module.exports = {
+  getRatePeriods,
+  createRatePeriod,
+  updateRatePeriod,
+  deleteRatePeriod
+};
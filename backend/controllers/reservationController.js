@@ -1,11 +1,23 @@
 const Reservation = require('../models/Reservation');
 const Car = require('../models/Car');
 const User = require('../models/User');
+const Location = require('../models/Location');
+const PromoCode = require('../models/PromoCode');
+const Extra = require('../models/Extra');
+const { sendEmail } = require('../utils/mail');
+const { getProjectedLocationIds } = require('../utils/availability');
 
 const handleErrors = (res, error, defaultMessage) => {
   console.error(error);
   
-  if (error.message.includes('already reserved')) {
+  if (error.name === 'InvalidTransitionError') {
+    return res.status(409).json({
+      error: error.message,
+      currentStatus: error.from,
+      allowedStatuses: error.allowed
+    });
+  }
+  if (error.name === 'LockTimeoutError' || error.name === 'AvailabilityError') {
     return res.status(409).json({ error: error.message });
   }
   if (error.name === 'ValidationError') {
@@ -14,21 +26,119 @@ const handleErrors = (res, error, defaultMessage) => {
   res.status(500).json({ error: defaultMessage });
 };
 
+// Booking email to the renter, sent in the background; expects carId and
+// userId to be populated
+const emailRenter = async (template, reservation) => {
+  try {
+    const [pickupLocation, dropoffLocation] = await Promise.all([
+      Location.findById(reservation.pickupLocationId),
+      Location.findById(reservation.dropoffLocationId)
+    ]);
+    await sendEmail(template, reservation.userId.email, {
+      name: reservation.userId.name,
+      reservation,
+      car: reservation.carId,
+      pickupLocation,
+      dropoffLocation
+    });
+  } catch (err) {
+    console.error(`Failed to send ${template} email:`, err);
+  }
+};
+
+// Snapshot requested extras ({ extraId, quantity }) from the location catalog
+const buildBookedExtras = async (requested, locationId) => {
+  const catalog = await Extra.find({
+    _id: { $in: requested.map(extra => extra.extraId) },
+    locationId,
+    active: true
+  });
+
+  const items = [];
+  for (const { extraId, quantity = 1 } of requested) {
+    const extra = catalog.find(item => item._id.equals(extraId));
+    if (!extra) return { error: `Extra ${extraId} is not offered at this location` };
+
+    items.push({
+      extraId: extra._id,
+      name: extra.name,
+      pricingType: extra.pricingType,
+      unitPrice: extra.price,
+      quantity
+    });
+  }
+  return { items };
+};
+
 // Create reservation
 const createReservation = async (req, res) => {
   try {
-    const { carId, startDate, endDate } = req.body;
+    const {
+      carId, startDate, endDate, pickupLocationId, dropoffLocationId, promoCode, extras
+    } = req.body;
     const userId = req.user.id;
 
     const reservation = new Reservation({
       carId,
       userId,
       startDate: new Date(startDate),
-      endDate: new Date(endDate)
+      endDate: new Date(endDate),
+      pickupLocationId,
+      dropoffLocationId
     });
 
-    await reservation.save();
-    res.status(201).json(await reservation.populate(['carId', 'userId']));
+    let car;
+    if (promoCode || extras?.length) {
+      car = await Car.findById(carId);
+      if (!car) return res.status(400).json({ error: 'Invalid car reference' });
+    }
+
+    if (extras?.length) {
+      // Extras come from the pickup location's catalog. Without an explicit
+      // pickup, that is where the car will be at the start, as the model fills in.
+      const extrasLocationId = pickupLocationId ||
+        (await getProjectedLocationIds([car], reservation.startDate)).get(car._id.toString());
+      const { items, error } = await buildBookedExtras(extras, extrasLocationId);
+      if (error) return res.status(400).json({ error });
+      reservation.extras = items;
+    }
+
+    let promo;
+    if (promoCode) {
+      promo = await PromoCode.findOne({ code: promoCode.toUpperCase() });
+      if (!promo) return res.status(400).json({ error: 'Invalid promo code' });
+
+      const reason = promo.checkEligibility(car);
+      if (reason) return res.status(400).json({ error: reason });
+
+      // Claim the redemption first so usage limits hold under concurrency
+      const redeemed = await PromoCode.redeem(promo, req.user._id, reservation._id);
+      if (!redeemed) {
+        return res.status(409).json({ error: 'Promo code usage limit reached' });
+      }
+
+      reservation.promo = {
+        promoCodeId: promo._id,
+        code: promo.code,
+        discountType: promo.discountType,
+        amount: promo.amount
+      };
+    }
+
+    try {
+      await reservation.save();
+    } catch (err) {
+      if (promo) await PromoCode.releaseRedemption(promo._id, reservation._id);
+      throw err;
+    }
+
+    if (promo) {
+      await PromoCode.completeRedemption(promo._id, reservation._id, reservation.promo.discount);
+    }
+
+    await reservation.populate(['carId', 'userId']);
+    emailRenter('reservationConfirmation', reservation);
+    res.status(201).json(reservation);
   } catch (err) {
     handleErrors(res, err, 'Failed to create reservation');
   }
@@ -47,25 +157,170 @@ const getUserReservations = async (req, res) => {
   }
 };
 
+// A cancelled booking no longer counts against its promo code's limits
+const releasePromo = async (reservation) => {
+  if (!reservation.promo?.promoCodeId) return;
+  await PromoCode.releaseRedemption(reservation.promo.promoCodeId, reservation._id);
+};
+
 // Update reservation status (Admin only)
 const updateReservationStatus = async (req, res) => {
   try {
     const { status } = req.body;
-    const reservation = await Reservation.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    ).populate(['carId', 'userId']);
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+
+    reservation.transitionTo(status, req.user._id);
+    await reservation.save();
+    if (status === 'cancelled') await releasePromo(reservation);
+
+    await reservation.populate(['carId', 'userId']);
+    if (status === 'cancelled') emailRenter('reservationCancellation', reservation);
+    res.json(reservation);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update reservation');
+  }
+};
 
+// Cancel own reservation, refunding according to the location's policy
+const cancelReservation = async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
     if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+
+    if (reservation.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    reservation.transitionTo('cancelled', req.user._id);
+
+    const car = await Car.findById(reservation.carId);
+    const location = await Location.findById(
+      reservation.pickupLocationId || car?.locationId
+    );
+    const refundPercent = location
+      ? location.refundPercentFor(reservation.startDate)
+      : 0;
+
+    reservation.refundPercent = refundPercent;
+    reservation.refundAmount = Math.round(reservation.totalPrice * refundPercent) / 100;
+    await reservation.save();
+    await releasePromo(reservation);
+
+    await reservation.populate(['carId', 'userId']);
+    emailRenter('reservationCancellation', reservation);
     res.json(reservation);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to cancel reservation');
+  }
+};
+
+// Change dates or car on own reservation while it is still upcoming
+const updateReservation = async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+
+    if (reservation.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+      return res.status(409).json({
+        error: `Cannot modify a ${reservation.status} reservation`
+      });
+    }
+
+    const { carId, startDate, endDate } = req.body;
+    const previousPrice = reservation.totalPrice;
+
+    // Extras were booked from the pickup location's catalog, so the new car
+    // has to be there at pickup time
+    if (carId && reservation.extras.length) {
+      const newCar = await Car.findById(carId);
+      if (newCar) {
+        const pickupDate = startDate ? new Date(startDate) : reservation.startDate;
+        const projected = await getProjectedLocationIds([newCar], pickupDate, reservation._id);
+        if (projected.get(newCar.id) !== reservation.pickupLocationId.toString()) {
+          return res.status(400).json({
+            error: 'Booked extras are not available at the new car\'s location'
+          });
+        }
+      }
+    }
+
+    // The promo code must also be valid for the new car
+    if (carId && reservation.promo?.promoCodeId) {
+      const [promo, newCar] = await Promise.all([
+        PromoCode.findById(reservation.promo.promoCodeId),
+        Car.findById(carId)
+      ]);
+      const reason = newCar && promo?.checkCarRestrictions(newCar);
+      if (reason) return res.status(400).json({ error: reason });
+    }
+
+    if (carId) reservation.carId = carId;
+    if (startDate) reservation.startDate = new Date(startDate);
+    if (endDate) reservation.endDate = new Date(endDate);
+
+    await reservation.save();
+
+    res.json({
+      reservation: await reservation.populate(['carId', 'userId']),
+      priceDifference: reservation.totalPrice - previousPrice
+    });
   } catch (err) {
     handleErrors(res, err, 'Failed to update reservation');
   }
 };
 
+// Inspection fields from a multipart form, with uploaded photo URLs
+const readInspection = (req) => ({
+  odometer: req.body.odometer,
+  fuelLevel: req.body.fuelLevel,
+  damageNotes: req.body.damageNotes,
+  photos: (req.files || []).map(file => file.url)
+});
+
+// Record the pickup inspection and hand the car over (staff)
+const recordPickup = async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+
+    reservation.recordPickup(readInspection(req), req.user._id);
+    await reservation.save();
+
+    res.json(reservation);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to record pickup');
+  }
+};
+
+// Record the return inspection, update the car and price extra charges (staff)
+const recordReturn = async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+
+    await reservation.recordReturn(readInspection(req), req.user._id);
+    await reservation.save();
+
+    res.json({
+      reservation,
+      extraCharges: reservation.returnCharges?.total || 0
+    });
+  } catch (err) {
+    handleErrors(res, err, 'Failed to record return');
+  }
+};
+
 module.exports = {
   createReservation,
+  updateReservation,
   getUserReservations,
-  updateReservationStatus
+  updateReservationStatus,
+  cancelReservation,
+  recordPickup,
+  recordReturn
 };
@@ -0,0 +1,118 @@
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+const {
+  generateSecret,
+  provisioningUri,
+  generateRecoveryCodes
+} = require('../utils/totp');
+
+const handleErrors = (res, error, defaultMessage) => {
+  console.error(error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: defaultMessage });
+};
+
+// Fresh recovery codes: hashes are stored, the codes are shown once
+const issueRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { twoFactorRecoveryCodes: codes.map(hashToken) });
+  return codes;
+};
+
+// Start enrolment: a new secret and the otpauth:// URI to show as a QR code.
+// Nothing changes for login until enableTwoFactor confirms a code.
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne(
+      { _id: req.user._id },
+      { twoFactorSecret: secret, $unset: { twoFactorLastStep: 1 } }
+    );
+
+    res.json({ secret, otpauthUrl: provisioningUri(secret, req.user.email) });
+  } catch (err) {
+    handleErrors(res, err, 'Failed to start two-factor setup');
+  }
+};
+
+// Finish enrolment with a first code from the authenticator app
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    if (!(await user.consumeTwoFactorCode(req.body.code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await User.updateOne({ _id: user._id }, { twoFactorEnabled: true });
+    const recoveryCodes = await issueRecoveryCodes(user._id);
+
+    res.json({ twoFactorEnabled: true, recoveryCodes });
+  } catch (err) {
+    handleErrors(res, err, 'Failed to enable two-factor authentication');
+  }
+};
+
+// Needs the password and a current or recovery code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.twoFactorMandatory()) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for this account' });
+    }
+
+    if (!(await user.comparePassword(req.body.password)) ||
+        !(await user.consumeTwoFactorCode(req.body.code))) {
+      return res.status(400).json({ error: 'Invalid password or authentication code' });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      twoFactorEnabled: false,
+      $unset: { twoFactorSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1 }
+    });
+
+    res.json({ twoFactorEnabled: false });
+  } catch (err) {
+    handleErrors(res, err, 'Failed to disable two-factor authentication');
+  }
+};
+
+// Replace all recovery codes, e.g. after using some of them
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await user.consumeTwoFactorCode(req.body.code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    res.json({ recoveryCodes: await issueRecoveryCodes(user._id) });
+  } catch (err) {
+    handleErrors(res, err, 'Failed to regenerate recovery codes');
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -1,7 +1,7 @@
 // controllers/userController.js (Critical Security Fixes)
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const { sendVerificationEmail } = require('../utils/emailVerification');
 
 // Async error handler wrapper
 const handleErrors = (res, error, defaultMessage) => {
@@ -56,6 +56,8 @@ const createUser = async (req, res) => {
     const { name, email, password } = req.body;
     const user = new User({ name, email, password });
     await user.save();
+    // New accounts can sign in but not book until the email is confirmed
+    sendVerificationEmail(user).catch(err => console.error('Failed to send verification email:', err));
     res.status(201).json(user.toJSON());
   } catch (err) {
     handleErrors(res, err, 'Failed to create user');
@@ -67,12 +69,27 @@ const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
     const updates = { ...req.body };
-    
+    // 2FA fields only change through /api/auth/2fa and the admin-only requirement route
+    ['twoFactorEnabled', 'twoFactorRequired', 'twoFactorSecret', 'twoFactorRecoveryCodes', 'twoFactorLastStep']
+      .forEach(field => delete updates[field]);
+    // Only verifyEmail marks an address as confirmed
+    ['emailVerified', 'emailVerifiedAt', 'verificationSentAt']
+      .forEach(field => delete updates[field]);
+
     // Handle password updates securely
     if (updates.password) {
       updates.password = await bcrypt.hash(updates.password, 12);
     }
 
+    // A new address has to be confirmed again
+    if (updates.email) {
+      const current = await User.findById(id).select('email');
+      if (current && current.email !== updates.email.trim().toLowerCase()) {
+        updates.emailVerified = false;
+        updates.emailVerifiedAt = null;
+      }
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       id,
       updates,
@@ -89,6 +106,22 @@ const updateUser = async (req, res) => {
   }
 };
 
+// Admin only: force (or stop forcing) a user to enrol in two-factor authentication
+const setTwoFactorRequired = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { twoFactorRequired: req.body.twoFactorRequired },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user);
+  } catch (err) {
+    handleErrors(res, err, 'Failed to update two-factor requirement');
+  }
+};
+
 const softDeleteUser = async (req, res) => {
   try {
     const user = await User.findByIdAndUpdate(
@@ -115,41 +148,6 @@ const deleteUser = async (req, res) => {
   }
 };
 
-// Login user
-const loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    
-    // Get user with password and admin status
-    const user = await User.findOne({ email }).select('+password +isAdmin');
-    if (!user) throw new Error('Invalid credentials');
-
-    // Verify password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) throw new Error('Invalid credentials');
-
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id }, 
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE }
-    );
-
-    // Prepare base response
-    const response = {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      isAdmin: user.isAdmin,
-      token
-    };
-
-    res.json(response);
-    
-  } catch (err) {
-    res.status(401).json({ error: err.message });
-  }
-};
 // Get current user profile
 const getMe = async (req, res) => {
   try {
@@ -164,8 +162,8 @@ module.exports = {
   getUsers,
   createUser,
   updateUser,
+  setTwoFactorRequired,
   softDeleteUser,
   deleteUser,
-  loginUser,
   getMe
 };
@@ -10,11 +10,19 @@ const cors = require('cors'); // Optional: Enable CORS
 const helmet = require('helmet'); // ?? Added security headers
 const rateLimit = require('express-rate-limit'); // ?? Added rate limiting
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 const { cleanOrphanedImages } = require('./utils/cleanup');
+const { getStorage } = require('./utils/storage');
+const { processOutbox } = require('./utils/mail');
+const User = require('./models/User');
 const cron = require('node-cron');
-// Run daily at 3 AM
-cron.schedule('0 3 * * *', cleanOrphanedImages);
+// Run daily at 3 AM (node-cron passes the run date, so wrap the call)
+cron.schedule('0 3 * * *', () => cleanOrphanedImages());
+// Retry unsent emails every minute
+cron.schedule('* * * * *', () => {
+  processOutbox().catch(err => console.error('Outbox error:', err));
+});
 
 // 3. Create Express app
 const app = express();
@@ -30,11 +38,15 @@ const limiter = rateLimit({
 // 4. Middleware
 app.set('trust proxy', 1); // ?? Only if behind a proxy (e.g., Nginx, Heroku)
 app.use(helmet()); // ?? Added security headers
-app.use(cors()); // Enable CORS for all routes
+// Auth cookies are only sent cross-origin to the configured client(s)
+app.use(cors(process.env.CLIENT_URL
+  ? { origin: process.env.CLIENT_URL.split(','), credentials: true }
+  : undefined)); // Enable CORS for all routes
 app.use(morgan('dev')); // Log HTTP requests
 app.use(limiter); // ?? Added rate limiting to all routes
 app.use(express.json()); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded data
+app.use(cookieParser()); // Access and refresh token cookies
 app.use(compression());
 app.use((err, req, res, next) => {
   if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
@@ -51,7 +63,11 @@ app.use((err, req, res, next) => {
 });
 // 5. Database connection (MongoDB example)
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(async () => {
+    console.log('Connected to MongoDB');
+    const verified = await User.verifyLegacyEmails();
+    if (verified) console.log(`Marked ${verified} existing user(s) as email verified`);
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Graceful shutdown handler for development
@@ -87,6 +103,13 @@ const cityRoutes = require('./routes/cities');
 const locationRoutes = require('./routes/locations');
 const carRoutes = require('./routes/cars');
 const reservationRoutes = require('./routes/reservations');
+const ratePeriodRoutes = require('./routes/ratePeriods');
+const promoCodeRoutes = require('./routes/promoCodes');
+const extraRoutes = require('./routes/extras');
+const oneWayFeeRoutes = require('./routes/oneWayFees');
+const maintenanceRoutes = require('./routes/maintenance');
+const damageReportRoutes = require('./routes/damageReports');
+const cleanupReportRoutes = require('./routes/cleanupReports');
 
 app.get('/', (req, res) => {
   res.send('Welcome to my Node.js API!');
@@ -99,7 +122,18 @@ app.use('/api/cities', cityRoutes);
 app.use('/api/locations', locationRoutes);
 app.use('/api/cars', carRoutes);
 app.use('/api/reservations', reservationRoutes);
-app.use('/images', express.static(path.join(__dirname, '../uploads')));
+app.use('/api/rate-periods', ratePeriodRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/extras', extraRoutes);
+app.use('/api/one-way-fees', oneWayFeeRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/damage-reports', damageReportRoutes);
+app.use('/api/cleanup-reports', cleanupReportRoutes);
+// Local storage is served from here; remote drivers return their own URLs
+const storage = getStorage();
+if (storage.driver === 'local') {
+  app.use('/images', express.static(storage.root));
+}
 //app.use('/images', express.static(path.join(__dirname, 'uploads')));
 // 7. Error handling middleware
 // Handle 404 - Route not found
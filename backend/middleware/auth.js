@@ -1,19 +1,26 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyToken, hashToken } = require('../utils/tokens');
 
 const protect = async (req, res, next) => {
   try {
-    // 1. Get token from header
-    const token = req.headers.authorization?.split(' ')[1];
+    // 1. Get token from the access cookie or the Authorization header
+    const token = req.cookies?.accessToken || req.headers.authorization?.split(' ')[1];
     if (!token) throw new Error('Missing token');
 
     // 2. Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // 3. Get user and attach to request
-    const user = await User.findById(decoded.id).select('-password');
-    
+    const decoded = verifyToken(token, 'access');
+    // 3. Get user and its session; revoked sessions lose access immediately
+    if (!decoded.sid) throw new Error('Session expired or revoked');
+    const [user, session] = await Promise.all([
+      User.findById(decoded.id).select('-password'),
+      Session.findOne({ _id: decoded.sid, userId: decoded.id })
+    ]);
+
     if (!user) throw new Error('User not found');
+    if (!session?.active) throw new Error('Session expired or revoked');
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
     res.status(401).json({ 
@@ -23,11 +30,56 @@ const protect = async (req, res, next) => {
   }
 };
 
+// The refresh cookie must verify and be the latest token of a live session.
+// A valid but already rotated token means it was copied, so the session is
+// revoked and both holders have to sign in again.
+const verifyRefreshToken = async (req, res, next) => {
+  try {
+    const token = req.cookies?.refreshToken;
+    if (!token) throw new Error('Missing refresh token');
+
+    const decoded = verifyToken(token, 'refresh');
+    const session = await Session.findOne({ _id: decoded.sid, userId: decoded.id })
+      .select('+tokenHash');
+    if (!session?.active) throw new Error('Session expired or revoked');
+
+    if (session.tokenHash !== hashToken(token)) {
+      await Session.revoke({ _id: session._id }, 'reuse');
+      throw new Error('Refresh token reuse detected');
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) throw new Error('User not found');
+    req.user = user;
+    req.authSession = session;
+    next();
+  } catch (err) {
+    res.status(401).json({
+      error: 'Authentication failed',
+      details: err.message
+    });
+  }
+};
+
+// Run after protect
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({ error: 'Please verify your email address first' });
+  }
+  next();
+};
+
 const admin = (req, res, next) => {
   if (!req.user?.isAdmin) {
     return res.status(403).json({ error: 'Admin access required' });
   }
+  if (req.user.mustEnrolTwoFactor()) {
+    return res.status(403).json({
+      error: 'Two-factor authentication must be enabled for admin access',
+      twoFactorEnrolmentRequired: true
+    });
+  }
   next();
 };
 
-module.exports = { protect, admin };
+module.exports = { protect, verifyRefreshToken, requireVerifiedEmail, admin };
@@ -1,14 +1,21 @@
 const fs = require('fs')
+const os = require('os');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const sharp = require('sharp');
+const { getStorage } = require('../utils/storage');
 
-const storage = multer.diskStorage({
+// Uploads land in a temp directory; processImage moves the results into
+// the configured storage under <folder>/
+const TMP_DIR = path.join(os.tmpdir(), 'carbnr-uploads');
+
+const diskStorage = (folder) => multer.diskStorage({
   destination: function (req, file, cb) {
+    req.uploadFolder = folder;
     // Create directory if it doesn't exist
-    fs.mkdirSync('uploads/cars/', { recursive: true });
-    cb(null, 'uploads/cars/');
+    fs.mkdirSync(TMP_DIR, { recursive: true });
+    cb(null, TMP_DIR);
   },
   filename: function (req, file, cb) {
     const uniqueName = uuidv4();
@@ -27,34 +34,133 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({
-  storage: storage,
+  storage: diskStorage('cars'),
   fileFilter: fileFilter,
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 }).single('image');
 
-const processImage = async (req, res, next) => {
-  if (!req.file) return next();
-  
-  try {
-    const originalPath = req.file.path;
-    const processedPath = `${originalPath}.jpg`;
+// Remove everything an upload left behind: temp files and stored objects
+const discardUpload = async (file) => {
+  [file.path, ...(file.outputs || [])].forEach(filePath => {
+    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  });
+  const storage = getStorage();
+  await Promise.all((file.keys || []).map(key => storage.remove(key)));
+};
+
+// Up to 10 files from the `field` form field, stored under <folder>/.
+// Upload errors become 400s, and the files are removed again if the
+// request fails.
+const uploadPhotos = (folder, field = 'photos') => {
+  const uploader = multer({
+    storage: diskStorage(folder),
+    fileFilter: fileFilter,
+    limits: { fileSize: 5 * 1024 * 1024, files: 10 }
+  }).array(field, 10);
+
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode < 400) return;
+      Promise.all((req.files || []).map(discardUpload))
+        .catch(err => console.error('Failed to discard upload:', err));
+    });
+
+    uploader(req, res, function (err) {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  };
+};
+
+// Longest edge of each generated size
+const VARIANTS = { thumb: 240, card: 640, full: 800 };
+
+// Only car images are shown at several sizes; other photos (inspections,
+// damage) are stored as a single full-size JPEG
+const VARIANT_FOLDERS = ['cars'];
+const hasVariants = folder => VARIANT_FOLDERS.includes(folder);
+
+const sizesFor = folder => hasVariants(folder) ? VARIANTS : { full: VARIANTS.full };
 
-    await sharp(originalPath)
-      .resize(800, 800, { fit: 'inside' })
-      .jpeg({ quality: 80 })
-      .toFile(processedPath);
+// AVIF encodes slowly, so it is opt-in
+const outputFormats = (folder) => {
+  if (!hasVariants(folder)) return ['jpeg'];
+  return process.env.IMAGE_AVIF === 'true' ? ['jpeg', 'webp', 'avif'] : ['jpeg', 'webp'];
+};
+
+const EXTENSIONS = { jpeg: 'jpg', webp: 'webp', avif: 'avif' };
+const ENCODER_OPTIONS = { jpeg: { quality: 80 }, webp: { quality: 75 }, avif: { quality: 50 } };
+
+const toHex = ({ r, g, b }) =>
+  '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+
+// Write each size in each format and store it under `folder`. The full
+// JPEG is `<upload>.jpg`; other files are `<upload>-<size>.<ext>`.
+// Sets file.key/url to the full JPEG and, for car images, file.variants
+// to the stored URLs.
+const processFile = async (file, folder) => {
+  const storage = getStorage();
+  const originalPath = file.path;
+  const image = sharp(originalPath).rotate();
+  const [metadata, stats] = await Promise.all([image.metadata(), image.stats()]);
+
+  file.outputs = [];
+  file.keys = [];
+  file.variants = {};
+  for (const [name, size] of Object.entries(sizesFor(folder))) {
+    const resized = image.clone().resize(size, size, { fit: 'inside', withoutEnlargement: true });
+    const variant = {};
+    for (const format of outputFormats(folder)) {
+      const suffix = name === 'full' ? '' : `-${name}`;
+      const outputPath = `${originalPath}${suffix}.${EXTENSIONS[format]}`;
+      file.outputs.push(outputPath);
+      const info = await resized.clone()[format](ENCODER_OPTIONS[format]).toFile(outputPath);
+
+      const key = `${folder}/${path.basename(outputPath)}`;
+      await storage.put(key, outputPath);
+      file.keys.push(key);
+      variant.width = info.width;
+      variant.height = info.height;
+      variant[format] = storage.url(key);
+    }
+    file.variants[name] = variant;
+  }
+  if (!hasVariants(folder)) delete file.variants;
+
+  // Placeholder data for clients while the image loads
+  const swapsSides = metadata.orientation >= 5;
+  file.metadata = {
+    width: swapsSides ? metadata.height : metadata.width,
+    height: swapsSides ? metadata.width : metadata.height,
+    dominantColor: toHex(stats.dominant)
+  };
 
-    // Replace original with processed image
-    fs.unlinkSync(originalPath);
-    req.file.path = processedPath;
-    req.file.filename = path.basename(processedPath);
+  // Stored copies replace the temp files
+  [originalPath, ...file.outputs].forEach(filePath => fs.unlinkSync(filePath));
+  file.outputs = [];
+  file.filename = `${path.basename(originalPath)}.jpg`;
+  file.key = `${folder}/${file.filename}`;
+  file.url = storage.url(file.key);
+  delete file.path;
+};
 
+// Handles both single (req.file) and multiple (req.files) uploads
+const processImage = async (req, res, next) => {
+  const files = req.file ? [req.file] : (req.files || []);
+  if (!files.length) return next();
+  
+  try {
+    for (const file of files) {
+      await processFile(file, req.uploadFolder);
+    }
     next();
   } catch (err) {
     // Clean up files on error
-    if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    await Promise.all(files.map(file => discardUpload(file).catch(() => {})));
     next(err);
   }
 };
 
-module.exports = { upload, processImage };
+module.exports = { upload, uploadPhotos, processImage, discardUpload, VARIANTS };
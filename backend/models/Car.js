@@ -2,8 +2,83 @@
 const mongoose = require('mongoose');
 const validator = require('validator');
 const Reservation = require('./Reservation');
+const Maintenance = require('./Maintenance');
+const DamageReport = require('./DamageReport');
 
 const currentYear = new Date().getFullYear();
+const DEFAULT_IMAGE_URL = '/images/default-car.jpg';
+const MAX_GALLERY_IMAGES = 20;
+
+const isImageUrl = v => typeof v === 'string' && (
+  validator.isURL(v, {
+    require_protocol: false,
+    require_valid_protocol: false
+  }) || v.startsWith('/images/')
+);
+
+// One generated size of an image, with a URL per format
+const imageVariantSchema = new mongoose.Schema({
+  width: Number,
+  height: Number,
+  jpeg: String,
+  webp: String,
+  avif: String
+}, { _id: false });
+
+// Gallery entry; order in the array is display order
+const carImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required'],
+    validate: {
+      validator: isImageUrl,
+      message: 'Invalid image URL format'
+    }
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  // Original dimensions and a placeholder color
+  width: Number,
+  height: Number,
+  dominantColor: String,
+  variants: {
+    thumb: imageVariantSchema,
+    card: imageVariantSchema,
+    full: imageVariantSchema
+  }
+}, {
+  toJSON: { virtuals: true }
+});
+
+// `srcset` strings per format, e.g. { webp: '/a-thumb.webp 240w, ...' }
+carImageSchema.virtual('srcset').get(function() {
+  const variants = ['thumb', 'card', 'full']
+    .map(name => this.variants?.[name])
+    .filter(variant => variant?.width);
+  if (!variants.length) return undefined;
+
+  const srcset = {};
+  ['jpeg', 'webp', 'avif'].forEach(format => {
+    const entries = variants
+      .filter(variant => variant[format])
+      .map(variant => `${variant[format]} ${variant.width}w`);
+    if (entries.length) srcset[format] = entries.join(', ');
+  });
+  return srcset;
+});
+
+// Every stored file URL for this image
+carImageSchema.methods.fileUrls = function() {
+  const urls = [this.url];
+  ['thumb', 'card', 'full'].forEach(name => {
+    const variant = this.variants?.[name];
+    if (variant) urls.push(variant.jpeg, variant.webp, variant.avif);
+  });
+  return [...new Set(urls.filter(Boolean))];
+};
 
 const carSchema = new mongoose.Schema({
   locationId: {
@@ -57,26 +132,39 @@ const carSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Cover image URL; kept in sync with the gallery when there is one
   imageUrl: {
     type: String,
-    default: '/images/default-car.jpg',
+    default: DEFAULT_IMAGE_URL,
     validate: {
-      validator: function(v) {
-        // Allow both relative paths and absolute URLs
-        return typeof v === 'string' && (
-          validator.isURL(v, {
-            require_protocol: false,
-            require_valid_protocol: false
-          }) || v.startsWith('/images/')
-        );
-      },
+      // Allow both relative paths and absolute URLs
+      validator: isImageUrl,
       message: 'Invalid image URL format'
     }
   },
+  images: {
+    type: [carImageSchema],
+    validate: {
+      validator: v => v.length <= MAX_GALLERY_IMAGES,
+      message: `A car cannot have more than ${MAX_GALLERY_IMAGES} images`
+    }
+  },
+  coverImageId: mongoose.Schema.Types.ObjectId,
   mileage: {
     type: Number,
     min: [0, 'Mileage cannot be negative']
   },
+  // Service reminders fire once mileage passes lastServiceMileage + interval
+  serviceIntervalKm: {
+    type: Number,
+    default: 15000,
+    min: [1000, 'Service interval must be at least 1000 km']
+  },
+  lastServiceMileage: {
+    type: Number,
+    default: 0,
+    min: [0, 'Mileage cannot be negative']
+  },
   fuelType: {
     type: String,
     enum: ['petrol', 'diesel', 'electric', 'hybrid', 'other']
@@ -109,6 +197,13 @@ carSchema.index({ locationId: 1 });          // Filter by location
 carSchema.index({ brand: 1, model: 1 });     // Filter by brand-model combination
 carSchema.index({ priceByDay: 1 });          // Sorting by price
 carSchema.index({ year: -1 });               // Sorting by newest first
+
+// Kilometres left until the next service is due (negative when overdue)
+carSchema.virtual('kmUntilService').get(function() {
+  if (this.mileage == null) return undefined;
+  return this.lastServiceMileage + this.serviceIntervalKm - this.mileage;
+});
+
 // Virtual population
 carSchema.virtual('location', {
   ref: 'Location',
@@ -117,6 +212,36 @@ carSchema.virtual('location', {
   justOne: true
 });
 
+// Cover gallery image with its variants, for listings
+carSchema.virtual('cover').get(function() {
+  return this.images?.length ? this.coverImage() : undefined;
+});
+
+// Gallery cover, falling back to the first image
+carSchema.methods.coverImage = function() {
+  return this.images.find(image => image._id.equals(this.coverImageId)) || this.images[0];
+};
+
+// Cars from before galleries only have an imageUrl; make it the first
+// gallery image so adding photos does not replace it as the cover
+carSchema.methods.adoptLegacyImage = function() {
+  if (!this.images.length && this.imageUrl && this.imageUrl !== DEFAULT_IMAGE_URL) {
+    this.images.push({ url: this.imageUrl });
+  }
+};
+
+// Keep the cover id and imageUrl pointing at a gallery image
+carSchema.pre('save', function(next) {
+  if (!this.isModified('images') && !this.isModified('coverImageId')) return next();
+  // New cars without a gallery keep the imageUrl they were given
+  if (this.isNew && !this.images.length) return next();
+
+  const cover = this.coverImage();
+  this.coverImageId = cover?._id;
+  this.imageUrl = cover ? cover.url : DEFAULT_IMAGE_URL;
+  next();
+});
+
 // Pre-save validation
 carSchema.pre('save', async function(next) {
   const location = await mongoose.model('Location').findById(this.locationId);
@@ -127,6 +252,8 @@ carSchema.pre('save', async function(next) {
 carSchema.pre('deleteOne', { document: true }, async function(next) {
   try {
     await Reservation.deleteMany({ carId: this._id }).maxTimeMS(30000);
+    await Maintenance.deleteMany({ carId: this._id }).maxTimeMS(30000);
+    await DamageReport.deleteMany({ carId: this._id }).maxTimeMS(30000);
     next();
   } catch (err) {
     next(new Error(`Failed to delete reservations: ${err.message}`));
@@ -140,8 +267,17 @@ carSchema.pre('deleteMany', async function(next) {
   await Reservation.deleteMany({ 
     carId: { $in: cars.map(c => c._id) }
   });
+  await Maintenance.deleteMany({
+    carId: { $in: cars.map(c => c._id) }
+  });
+  await DamageReport.deleteMany({
+    carId: { $in: cars.map(c => c._id) }
+  });
   next();
 });
 
 
+carSchema.statics.DEFAULT_IMAGE_URL = DEFAULT_IMAGE_URL;
+carSchema.statics.MAX_GALLERY_IMAGES = MAX_GALLERY_IMAGES;
+
 module.exports = mongoose.model('Car', carSchema);
@@ -0,0 +1,66 @@
+// models/CleanupReport.js
+const mongoose = require('mongoose');
+
+// Keys listed per report; `orphaned` stays exact beyond this
+const MAX_LISTED_KEYS = 1000;
+
+const cleanupFailureSchema = new mongoose.Schema({
+  key: String,
+  message: String
+}, { _id: false });
+
+// Outcome of one orphaned image cleanup run
+const cleanupReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  minAgeMs: Number,
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  // Stored files looked at, still referenced, too new to judge,
+  // unreferenced, removed
+  scanned: { type: Number, default: 0 },
+  kept: { type: Number, default: 0 },
+  recent: { type: Number, default: 0 },
+  orphaned: { type: Number, default: 0 },
+  deleted: { type: Number, default: 0 },
+  // First MAX_LISTED_KEYS unreferenced keys; in a dry run these are only
+  // candidates
+  orphans: [String],
+  failures: [cleanupFailureSchema],
+  error: String
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+cleanupReportSchema.index({ startedAt: -1 });
+
+cleanupReportSchema.statics.MAX_LISTED_KEYS = MAX_LISTED_KEYS;
+
+module.exports = mongoose.model('CleanupReport', cleanupReportSchema);
@@ -0,0 +1,111 @@
+// models/DamageReport.js
+const mongoose = require('mongoose');
+
+// open -> in_repair -> resolved; minor damage can be resolved directly
+const STATUS_TRANSITIONS = {
+  open: ['in_repair', 'resolved'],
+  in_repair: ['open', 'resolved'],
+  resolved: []
+};
+
+const damageReportSchema = new mongoose.Schema({
+  carId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Car reference is required'],
+    validate: {
+      validator: async function(carId) {
+        const car = await mongoose.model('Car').findById(carId);
+        return !!car;
+      },
+      message: 'Invalid car reference'
+    }
+  },
+  // Rental during which the damage happened, when known
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    validate: {
+      validator: async function(reservationId) {
+        const reservation = await mongoose.model('Reservation')
+          .findById(reservationId)
+          .select('carId');
+        return !!reservation && reservation.carId.equals(this.carId);
+      },
+      message: 'Reservation does not belong to this car'
+    }
+  },
+  severity: {
+    type: String,
+    enum: ['minor', 'moderate', 'severe'],
+    required: [true, 'Severity is required']
+  },
+  // Where on the vehicle the damage is
+  area: {
+    type: String,
+    enum: [
+      'front', 'rear', 'left_side', 'right_side', 'roof',
+      'windshield', 'wheels', 'interior', 'undercarriage', 'other'
+    ],
+    required: [true, 'Damage area is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  photos: [String],
+  estimatedCost: {
+    type: Number,
+    min: [0, 'Cost cannot be negative']
+  },
+  repairCost: {
+    type: Number,
+    min: [0, 'Cost cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'open'
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+damageReportSchema.index({ carId: 1, status: 1 });
+damageReportSchema.index({ reservationId: 1 });
+
+damageReportSchema.virtual('car', {
+  ref: 'Car',
+  localField: 'carId',
+  foreignField: '_id',
+  justOne: true
+});
+
+damageReportSchema.methods.allowedTransitions = function() {
+  return STATUS_TRANSITIONS[this.status] || [];
+};
+
+damageReportSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    this.resolvedAt = this.status === 'resolved' ? new Date() : undefined;
+  }
+  next();
+});
+
+damageReportSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('DamageReport', damageReportSchema);
@@ -0,0 +1,67 @@
+// models/Extra.js
+const mongoose = require('mongoose');
+
+// Bookable add-on offered by a location (insurance, child seat, GPS...)
+const extraSchema = new mongoose.Schema({
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Location reference is required'],
+    validate: {
+      validator: async function(locationId) {
+        const location = await mongoose.model('Location').findById(locationId);
+        return !!location;
+      },
+      message: 'Invalid location reference'
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    enum: ['insurance', 'child_seat', 'gps', 'extra_driver', 'other'],
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  pricingType: {
+    type: String,
+    enum: ['per_day', 'per_rental'],
+    required: [true, 'Pricing type is required']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Units available at the location at any one time (unlimited when unset)
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+extraSchema.index({ locationId: 1, category: 1 });
+
+module.exports = mongoose.model('Extra', extraSchema);
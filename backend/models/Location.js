@@ -2,6 +2,151 @@
 const mongoose = require('mongoose');
 const validator = require('validator');
 const Car = require('./Car');
+const {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  toMinutes,
+  isValidTimeZone,
+  isOpenAt
+} = require('../utils/openingHours');
+
+const HOUR_MS = 1000 * 60 * 60;
+
+const pricingRulesSchema = new mongoose.Schema({
+  weekendMultiplier: {
+    type: Number,
+    default: 1,
+    min: [0, 'Weekend multiplier cannot be negative']
+  },
+  weeklyDiscountPercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100']
+  },
+  monthlyDiscountPercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100']
+  },
+  minimumCharge: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum charge cannot be negative']
+  },
+  // Free kilometres per rental day; unset means unlimited mileage
+  dailyMileageAllowance: {
+    type: Number,
+    min: [0, 'Mileage allowance cannot be negative']
+  },
+  excessMileageRate: {
+    type: Number,
+    default: 0.3,
+    min: [0, 'Excess mileage rate cannot be negative']
+  },
+  // Charged for each eighth of a tank returned below the pickup level
+  refuelChargePerEighth: {
+    type: Number,
+    default: 10,
+    min: [0, 'Refuel charge cannot be negative']
+  }
+}, { _id: false });
+
+const cancellationTierSchema = new mongoose.Schema({
+  hoursBeforeStart: {
+    type: Number,
+    required: true,
+    min: [0, 'Hours before start cannot be negative']
+  },
+  refundPercent: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund percent cannot be negative'],
+    max: [100, 'Refund percent cannot exceed 100']
+  }
+}, { _id: false });
+
+// Closing time must come after opening time; split a shift that runs past
+// midnight into two entries
+const closeAfterOpen = {
+  validator: function(v) {
+    return !this.open || toMinutes(v) > toMinutes(this.open);
+  },
+  message: 'Closing time must be after opening time'
+};
+
+const openingHoursSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  day: {
+    type: Number,
+    required: true,
+    min: [0, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  open: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Opening time must be HH:MM']
+  },
+  close: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Closing time must be HH:MM'],
+    validate: closeAfterOpen
+  }
+}, { _id: false });
+
+// Replaces the weekly hours on one local date: a holiday closure or
+// special hours
+const hoursExceptionSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'Date must be YYYY-MM-DD']
+  },
+  closed: {
+    type: Boolean,
+    default: false
+  },
+  open: {
+    type: String,
+    required: function() { return !this.closed; },
+    match: [TIME_PATTERN, 'Opening time must be HH:MM']
+  },
+  close: {
+    type: String,
+    required: function() { return !this.closed; },
+    match: [TIME_PATTERN, 'Closing time must be HH:MM'],
+    validate: closeAfterOpen
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Note cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+// GeoJSON point; note the [longitude, latitude] order
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return v.length === 2 &&
+          v[0] >= -180 && v[0] <= 180 &&
+          v[1] >= -90 && v[1] <= 90;
+      },
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
 
 const locationSchema = new mongoose.Schema({
   name: {
@@ -51,7 +196,55 @@ const locationSchema = new mongoose.Schema({
       },
       message: 'Invalid user reference'
     }
-  },  deleted: {
+  },
+  // Map position, used for "nearby" searches
+  geo: pointSchema,
+  // IANA time zone the opening hours are given in
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
+  // Weekly hours; none at all means the location never closes
+  openingHours: {
+    type: [openingHoursSchema],
+    default: () => []
+  },
+  hoursExceptions: {
+    type: [hoursExceptionSchema],
+    default: () => []
+  },
+  // Cars may be returned outside opening hours
+  afterHoursKeyDrop: {
+    type: Boolean,
+    default: false
+  },
+  // Rental pricing rules applied to every car at this location
+  pricing: {
+    type: pricingRulesSchema,
+    default: () => ({})
+  },
+  // Hours a car is held after a return (cleaning, inspection)
+  // before it can be picked up again
+  turnaroundHours: {
+    type: Number,
+    default: 0,
+    min: [0, 'Turnaround hours cannot be negative'],
+    max: [168, 'Turnaround cannot exceed one week']
+  },
+  // Refund tiers applied when a renter cancels, e.g. 100% more than 48h
+  // before pickup, 50% up to pickup; nothing is refunded after pickup
+  cancellationPolicy: {
+    type: [cancellationTierSchema],
+    default: () => [
+      { hoursBeforeStart: 48, refundPercent: 100 },
+      { hoursBeforeStart: 0, refundPercent: 50 }
+    ]
+  },
+  deleted: {
     type: Date,
     default: null
   }
@@ -100,6 +293,8 @@ locationSchema.index({
   address: 'text'
 });
 
+locationSchema.index({ geo: '2dsphere' });
+
 // Virtual population
 locationSchema.virtual('city', {
   ref: 'City',
@@ -115,6 +310,44 @@ locationSchema.virtual('user', {
   justOne: true
 });
 
+// Left out when the hours were not selected, rather than guessing
+locationSchema.virtual('isOpenNow').get(function() {
+  if (!this.isSelected('openingHours') || !this.isSelected('hoursExceptions')) return undefined;
+  return this.isOpenAt(new Date());
+});
+
+// Active locations within `radiusKm` of a point, nearest first, as plain
+// objects with a `distance` in metres
+locationSchema.statics.findNearby = function({ lat, lng, radiusKm, limit }) {
+  const pipeline = [{
+    $geoNear: {
+      near: { type: 'Point', coordinates: [lng, lat] },
+      distanceField: 'distance',
+      maxDistance: radiusKm * 1000,
+      spherical: true,
+      query: { deleted: null }
+    }
+  }];
+  if (limit) pipeline.push({ $limit: limit });
+  return this.aggregate(pipeline);
+};
+
+locationSchema.methods.isOpenAt = function(date) {
+  return isOpenAt(this, date);
+};
+
+// Refund percentage for a cancellation made at `cancelledAt`
+locationSchema.methods.refundPercentFor = function(startDate, cancelledAt = new Date()) {
+  const hoursBeforeStart = (new Date(startDate) - new Date(cancelledAt)) / HOUR_MS;
+  if (hoursBeforeStart < 0) return 0;
+
+  const tier = [...this.cancellationPolicy]
+    .sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart)
+    .find(t => hoursBeforeStart >= t.hoursBeforeStart);
+
+  return tier ? tier.refundPercent : 0;
+};
+
 // Pre-save validation
 locationSchema.pre('save', async function(next) {
   const [city, user] = await Promise.all([
@@ -0,0 +1,92 @@
+// models/Maintenance.js
+const mongoose = require('mongoose');
+
+const maintenanceSchema = new mongoose.Schema({
+  carId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Car reference is required'],
+    validate: {
+      validator: async function(carId) {
+        const car = await mongoose.model('Car').findById(carId);
+        return !!car;
+      },
+      message: 'Invalid car reference'
+    }
+  },
+  type: {
+    type: String,
+    enum: ['service', 'repair', 'inspection', 'tires', 'cleaning', 'other'],
+    required: [true, 'Maintenance type is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(v) {
+        return v > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  cost: {
+    type: Number,
+    min: [0, 'Cost cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  // Odometer reading when the work was completed
+  mileageAtService: Number
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+maintenanceSchema.index({ carId: 1, startDate: 1, endDate: 1 });
+maintenanceSchema.index({ status: 1 });
+
+maintenanceSchema.virtual('car', {
+  ref: 'Car',
+  localField: 'carId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Record the odometer on completion; a completed service resets the
+// car's service reminder
+maintenanceSchema.pre('save', async function(next) {
+  if (!this.isModified('status') || this.status !== 'completed') return next();
+
+  const car = await mongoose.model('Car').findById(this.carId);
+  if (car?.mileage != null) {
+    this.mileageAtService = car.mileage;
+    if (this.type === 'service') {
+      await mongoose.model('Car').updateOne(
+        { _id: car._id },
+        { lastServiceMileage: car.mileage }
+      );
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Maintenance', maintenanceSchema);
@@ -0,0 +1,75 @@
+// models/OneWayFee.js
+const mongoose = require('mongoose');
+
+// Fee for picking a car up in one place and dropping it off in another.
+// Rules are either location-to-location or city-to-city; the more
+// specific location rule wins.
+const oneWayFeeSchema = new mongoose.Schema({
+  fromLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  toLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  fromCityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City'
+  },
+  toCityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City'
+  },
+  fee: {
+    type: Number,
+    required: [true, 'Fee is required'],
+    min: [0, 'Fee cannot be negative']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+oneWayFeeSchema.index(
+  { fromLocationId: 1, toLocationId: 1 },
+  { unique: true, partialFilterExpression: { fromLocationId: { $exists: true } } }
+);
+oneWayFeeSchema.index(
+  { fromCityId: 1, toCityId: 1 },
+  { unique: true, partialFilterExpression: { fromCityId: { $exists: true } } }
+);
+
+oneWayFeeSchema.pre('validate', function(next) {
+  const byLocation = this.fromLocationId && this.toLocationId;
+  const byCity = this.fromCityId && this.toCityId;
+  if (!byLocation === !byCity) {
+    this.invalidate('fromLocationId', 'Provide either a location pair or a city pair');
+  }
+  next();
+});
+
+// Fee between two locations, or null when one-way is not offered
+oneWayFeeSchema.statics.findFee = async function(fromLocationId, toLocationId) {
+  const byLocation = await this.findOne({ fromLocationId, toLocationId });
+  if (byLocation) return byLocation.fee;
+
+  const Location = mongoose.model('Location');
+  const [from, to] = await Promise.all([
+    Location.findById(fromLocationId).select('cityId'),
+    Location.findById(toLocationId).select('cityId')
+  ]);
+  if (!from || !to) return null;
+
+  const byCity = await this.findOne({ fromCityId: from.cityId, toCityId: to.cityId });
+  return byCity ? byCity.fee : null;
+};
+
+module.exports = mongoose.model('OneWayFee', oneWayFeeSchema);
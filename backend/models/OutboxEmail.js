@@ -0,0 +1,60 @@
+// models/OutboxEmail.js
+const mongoose = require('mongoose');
+
+// A rendered email waiting to be sent, or the record of one that was.
+// Failed sends are retried with backoff until maxAttempts.
+const outboxEmailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending, so stalled sends can be picked up again
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('OutboxEmail', outboxEmailSchema);
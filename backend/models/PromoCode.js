@@ -0,0 +1,180 @@
+// models/PromoCode.js
+const mongoose = require('mongoose');
+const { calculatePromoDiscount } = require('../utils/pricing');
+
+const redemptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  },
+  discount: Number,
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Invalid promo code format']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Discount amount is required'],
+    min: [0, 'Discount amount cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return this.discountType !== 'percentage' || v <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100'
+    }
+  },
+  validFrom: Date,
+  validUntil: Date,
+  // Total redemptions allowed across all users (unlimited when unset)
+  maxUses: {
+    type: Number,
+    min: [1, 'Max uses must be at least 1']
+  },
+  maxUsesPerUser: {
+    type: Number,
+    default: 1,
+    min: [1, 'Max uses per user must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Empty lists mean no restriction
+  restrictions: {
+    locationIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location'
+    }],
+    brands: [String],
+    fuelTypes: [{
+      type: String,
+      enum: ['petrol', 'diesel', 'electric', 'hybrid', 'other']
+    }]
+  },
+  redemptions: {
+    type: [redemptionSchema],
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+promoCodeSchema.index({ validUntil: 1 });
+
+// Reason the code cannot be used for this booking, or null if it can
+promoCodeSchema.methods.checkEligibility = function(car, at = new Date()) {
+  if (!this.active) return 'Promo code is not active';
+  if (this.validFrom && at < this.validFrom) return 'Promo code is not valid yet';
+  if (this.validUntil && at > this.validUntil) return 'Promo code has expired';
+  if (this.maxUses && this.usedCount >= this.maxUses) {
+    return 'Promo code usage limit reached';
+  }
+  return this.checkCarRestrictions(car);
+};
+
+// Location, brand and fuel restrictions only, e.g. when a booking that
+// already redeemed the code moves to another car
+promoCodeSchema.methods.checkCarRestrictions = function(car) {
+  const { locationIds, brands, fuelTypes } = this.restrictions;
+
+  if (locationIds.length && !locationIds.some(id => id.equals(car.locationId))) {
+    return 'Promo code is not valid at this location';
+  }
+  if (brands.length && !brands.some(b => b.toLowerCase() === car.brand.toLowerCase())) {
+    return 'Promo code is not valid for this brand';
+  }
+  if (fuelTypes.length && !fuelTypes.includes(car.fuelType)) {
+    return 'Promo code is not valid for this fuel type';
+  }
+  return null;
+};
+
+promoCodeSchema.methods.calculateDiscount = function(subtotal) {
+  return calculatePromoDiscount(subtotal, this);
+};
+
+// Atomically record a redemption while enforcing the usage limits.
+// Resolves to null when a limit has been reached.
+promoCodeSchema.statics.redeem = function(promoCode, userId, reservationId) {
+  const conditions = [{
+    $lt: [
+      { $size: { $filter: {
+        input: { $ifNull: ['$redemptions', []] },
+        cond: { $eq: ['$$this.userId', userId] }
+      } } },
+      promoCode.maxUsesPerUser
+    ]
+  }];
+  if (promoCode.maxUses) {
+    conditions.push({ $lt: ['$usedCount', promoCode.maxUses] });
+  }
+
+  return this.findOneAndUpdate(
+    { _id: promoCode._id, active: true, $expr: { $and: conditions } },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { userId, reservationId } }
+    },
+    { new: true }
+  );
+};
+
+// Store the applied discount on a recorded redemption
+promoCodeSchema.statics.completeRedemption = function(promoCodeId, reservationId, discount) {
+  return this.updateOne(
+    { _id: promoCodeId, 'redemptions.reservationId': reservationId },
+    { $set: { 'redemptions.$.discount': discount } }
+  );
+};
+
+// Undo a redemption whose reservation could not be saved
+promoCodeSchema.statics.releaseRedemption = function(promoCodeId, reservationId) {
+  return this.updateOne(
+    { _id: promoCodeId, 'redemptions.reservationId': reservationId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { reservationId } }
+    }
+  );
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,68 @@
+// models/RatePeriod.js
+const mongoose = require('mongoose');
+
+// Seasonal pricing window for a single car or every car at a location
+const ratePeriodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  carId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car'
+  },
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(v) {
+        return v > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+  // Either a multiplier on the car's daily price or a fixed daily rate
+  multiplier: {
+    type: Number,
+    min: [0, 'Multiplier cannot be negative']
+  },
+  dailyRate: {
+    type: Number,
+    min: [0, 'Daily rate cannot be negative']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+ratePeriodSchema.index({ carId: 1, startDate: 1, endDate: 1 });
+ratePeriodSchema.index({ locationId: 1, startDate: 1, endDate: 1 });
+
+ratePeriodSchema.pre('validate', function(next) {
+  if (!this.carId === !this.locationId) {
+    this.invalidate('carId', 'Exactly one of carId or locationId is required');
+  }
+  if (this.multiplier == null && this.dailyRate == null) {
+    this.invalidate('multiplier', 'Either multiplier or dailyRate is required');
+  }
+  next();
+});
+
+module.exports = mongoose.model('RatePeriod', ratePeriodSchema);
@@ -1,5 +1,156 @@
 const mongoose = require('mongoose');
 const validator = require('validator');
+const {
+  AvailabilityError,
+  findConflictingReservations,
+  findMaintenanceConflicts,
+  getDamagedCarIds,
+  findExtraShortages,
+  getProjectedLocationIds,
+  findNextReservation,
+  calculateRentalDays
+} = require('../utils/availability');
+const ReservationLock = require('./ReservationLock');
+const OneWayFee = require('./OneWayFee');
+const {
+  quoteForCar,
+  applyOneWayFee,
+  applyExtras,
+  applyPromo,
+  calculateReturnCharges
+} = require('../utils/pricing');
+
+// Allowed lifecycle moves: pending -> confirmed -> active -> completed,
+// with cancellation and no-show as terminal side exits
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['active', 'cancelled', 'no_show'],
+  active: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// Guards return an error message when a transition is not allowed yet
+const TRANSITION_GUARDS = {
+  active: reservation => reservation.startDate <= Date.now()
+    ? null
+    : 'Car cannot be picked up before the start date',
+  no_show: reservation => reservation.startDate <= Date.now()
+    ? null
+    : 'Cannot mark a no-show before the start date'
+};
+
+const priceLineSchema = new mongoose.Schema({
+  type: String,
+  label: String,
+  amount: Number
+}, { _id: false });
+
+const priceBreakdownSchema = new mongoose.Schema({
+  days: Number,
+  dailyRate: Number,
+  base: Number,
+  adjustments: [priceLineSchema],
+  discounts: [priceLineSchema],
+  extras: [priceLineSchema],
+  total: Number
+}, { _id: false });
+
+// Booked add-on with the catalog price at booking time
+const bookedExtraSchema = new mongoose.Schema({
+  extraId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Extra',
+    required: true
+  },
+  name: String,
+  pricingType: {
+    type: String,
+    enum: ['per_day', 'per_rental']
+  },
+  unitPrice: Number,
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1']
+  },
+  total: Number
+}, { _id: false });
+
+// Snapshot of the promo code terms so prices can be recalculated later
+const appliedPromoSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode'
+  },
+  code: String,
+  discountType: String,
+  amount: Number,
+  discount: Number
+}, { _id: false });
+
+// Vehicle condition recorded at pickup or return
+const inspectionSchema = new mongoose.Schema({
+  odometer: {
+    type: Number,
+    required: [true, 'Odometer reading is required'],
+    min: [0, 'Odometer cannot be negative']
+  },
+  // Eighths of a tank, 0 (empty) to 8 (full)
+  fuelLevel: {
+    type: Number,
+    required: [true, 'Fuel level is required'],
+    min: [0, 'Fuel level cannot be negative'],
+    max: [8, 'Fuel level cannot exceed a full tank (8/8)']
+  },
+  damageNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Damage notes cannot exceed 2000 characters']
+  },
+  photos: [String],
+  inspectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  inspectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Charges added at return (excess mileage, refuelling)
+const returnChargesSchema = new mongoose.Schema({
+  distance: Number,
+  lines: [priceLineSchema],
+  total: Number
+}, { _id: false });
+
+class InvalidTransitionError extends Error {
+  constructor(message, from, allowed) {
+    super(message);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.allowed = allowed;
+  }
+}
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
 
 const reservationSchema = new mongoose.Schema({
   carId: {
@@ -31,6 +182,8 @@ const reservationSchema = new mongoose.Schema({
     required: [true, 'Start date is required'],
     validate: {
       validator: function(v) {
+        // Only enforce when the start date is being set
+        if (!this.isNew && !this.isModified('startDate')) return true;
         return v > new Date();
       },
       message: 'Start date must be in the future'
@@ -46,12 +199,40 @@ const reservationSchema = new mongoose.Schema({
       message: 'End date must be after start date'
     }
   },
+  // Default to where the car will be at the start date
+  pickupLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Defaults to the pickup location; a different one makes it one-way
+  dropoffLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  oneWayFee: Number,
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
-  totalPrice: Number
+  statusHistory: [statusHistorySchema],
+  extras: [bookedExtraSchema],
+  promo: appliedPromoSchema,
+  priceBreakdown: priceBreakdownSchema,
+  totalPrice: Number,
+  refundPercent: Number,
+  refundAmount: Number,
+  pickupInspection: inspectionSchema,
+  returnInspection: {
+    type: inspectionSchema,
+    validate: {
+      validator: function(v) {
+        return !this.pickupInspection || v.odometer >= this.pickupInspection.odometer;
+      },
+      message: 'Return odometer cannot be lower than at pickup'
+    }
+  },
+  returnCharges: returnChargesSchema
 }, {
   timestamps: true,
   toJSON: {
@@ -65,28 +246,226 @@ const reservationSchema = new mongoose.Schema({
   //id: false
 });
 
+reservationSchema.methods.allowedTransitions = function() {
+  return STATUS_TRANSITIONS[this.status] || [];
+};
+
+// Move to a new status, recording who made the change
+reservationSchema.methods.transitionTo = function(status, userId) {
+  const allowed = this.allowedTransitions();
+  if (!allowed.includes(status)) {
+    throw new InvalidTransitionError(
+      `Cannot change status from '${this.status}' to '${status}'`,
+      this.status,
+      allowed
+    );
+  }
+
+  const guard = TRANSITION_GUARDS[status];
+  const guardError = guard && guard(this);
+  if (guardError) {
+    throw new InvalidTransitionError(guardError, this.status, allowed);
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedAt: new Date(),
+    changedBy: userId
+  });
+  this.status = status;
+  return this;
+};
+
+// Check the car out to the renter and start the rental
+reservationSchema.methods.recordPickup = function(inspection, userId) {
+  this.transitionTo('active', userId);
+  this.pickupInspection = { ...inspection, inspectedBy: userId };
+  return this;
+};
+
+// Check the car back in, pricing excess mileage and missing fuel with the
+// pickup location's rules, and complete the rental
+reservationSchema.methods.recordReturn = async function(inspection, userId) {
+  this.transitionTo('completed', userId);
+  this.returnInspection = { ...inspection, inspectedBy: userId };
+
+  if (this.pickupInspection) {
+    const location = await mongoose.model('Location')
+      .findById(this.pickupLocationId)
+      .select('pricing');
+    this.returnCharges = calculateReturnCharges({
+      pickup: this.pickupInspection,
+      dropoff: this.returnInspection,
+      days: this.priceBreakdown?.days || calculateRentalDays(this.startDate, this.endDate),
+      rules: location?.pricing?.toObject() || {}
+    });
+  }
+  return this;
+};
+
+// Pickup must be within the pickup location's opening hours, and the
+// return within the drop-off location's unless it has an after-hours key drop
+const checkOpeningHours = async (reservation) => {
+  const Location = mongoose.model('Location');
+  const pickup = await Location.findById(reservation.pickupLocationId);
+  const dropoff = reservation.dropoffLocationId.equals(reservation.pickupLocationId)
+    ? pickup
+    : await Location.findById(reservation.dropoffLocationId);
+
+  if (pickup && !pickup.isOpenAt(reservation.startDate)) {
+    reservation.invalidate('startDate', 'Pickup location is closed at the requested pickup time');
+  }
+  if (dropoff && !dropoff.afterHoursKeyDrop && !dropoff.isOpenAt(reservation.endDate)) {
+    reservation.invalidate('endDate', 'Drop-off location is closed at the requested return time');
+  }
+};
+
+// Fields that affect price and availability
+const BOOKING_PATHS = 'carId startDate endDate extras pickupLocationId dropoffLocationId';
+
+// Fill in pickup/drop-off locations and look up the one-way fee
+reservationSchema.pre('validate', async function(next) {
+  if (!this.isNew && !this.isModified(BOOKING_PATHS)) return next();
+  const car = this.carId && this.startDate &&
+    await mongoose.model('Car').findById(this.carId);
+  if (!car) return next();
+
+  if (!this.pickupLocationId) {
+    const projected = await getProjectedLocationIds([car], this.startDate, this._id);
+    this.pickupLocationId = projected.get(car._id.toString());
+  }
+  if (!this.dropoffLocationId) this.dropoffLocationId = this.pickupLocationId;
+
+  if (this.isNew || this.isModified('startDate endDate pickupLocationId dropoffLocationId')) {
+    await checkOpeningHours(this);
+  }
+
+  this.oneWayFee = undefined;
+  if (!this.pickupLocationId.equals(this.dropoffLocationId)) {
+    const fee = await OneWayFee.findFee(this.pickupLocationId, this.dropoffLocationId);
+    if (fee === null) {
+      this.invalidate('dropoffLocationId', 'One-way rentals are not offered between these locations');
+    } else {
+      this.oneWayFee = fee;
+    }
+  }
+  next();
+});
+
 // Calculate total price before saving
 reservationSchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified(BOOKING_PATHS)) return next();
   const car = await mongoose.model('Car').findById(this.carId);
-  const days = Math.ceil((this.endDate - this.startDate) / (1000 * 60 * 60 * 24));
-  this.totalPrice = days * car.priceByDay;
+  let breakdown = await quoteForCar(car, this.startDate, this.endDate);
+  breakdown = applyOneWayFee(breakdown, this.oneWayFee);
+  breakdown = applyExtras(breakdown, this.extras);
+  this.extras.forEach((extra, i) => { extra.total = breakdown.extras[i].amount; });
+
+  if (this.promo?.code) {
+    breakdown = applyPromo(breakdown, this.promo);
+    this.promo.discount = breakdown.discounts.at(-1).amount;
+  }
+  this.priceBreakdown = breakdown;
+  this.totalPrice = breakdown.total;
   next();
 });
 
-// Prevent overlapping reservations
+// Prevent overlapping reservations. The car (and any stock-limited extras)
+// stay locked from this check until the write finishes, so concurrent
+// bookings cannot both pass it.
 reservationSchema.pre('save', async function(next) {
-  const overlapping = await mongoose.model('Reservation').find({
-    carId: this.carId,
-    $nor: [
-      { endDate: { $lte: this.startDate } },
-      { startDate: { $gte: this.endDate } }
-    ]
-  });
-  
+  if (!this.isNew && !this.isModified(BOOKING_PATHS)) return next();
+
+  const extraIds = this.extras.map(extra => extra.extraId.toString());
+  const lockIds = [this.carId, ...[...new Set(extraIds)].sort()];
+  this.$locals.lockedIds = [];
+  for (const id of lockIds) {
+    await ReservationLock.acquire(id, this._id);
+    this.$locals.lockedIds.push(id);
+  }
+
+  const overlapping = await findConflictingReservations(
+    this.carId,
+    this.startDate,
+    this.endDate,
+    this._id
+  );
+
   if (overlapping.length > 0) {
-    throw new Error('Car already reserved for these dates');
+    throw new AvailabilityError('Car already reserved for these dates');
+  }
+
+  const maintenance = await findMaintenanceConflicts(this.carId, this.startDate, this.endDate);
+  if (maintenance.length > 0) {
+    throw new AvailabilityError('Car is scheduled for maintenance during these dates');
+  }
+
+  if (this.isNew && (await getDamagedCarIds([this.carId])).size > 0) {
+    throw new AvailabilityError('Car has unresolved severe damage');
+  }
+
+  // One-way bookings move the car, so it has to be where the renter picks
+  // it up and where the next renter expects it afterwards
+  const car = await mongoose.model('Car').findById(this.carId);
+  const projected = await getProjectedLocationIds([car], this.startDate, this._id);
+  if (projected.get(car._id.toString()) !== this.pickupLocationId.toString()) {
+    throw new AvailabilityError('Car will not be at the pickup location on the start date');
+  }
+
+  const nextReservation = await findNextReservation(this.carId, this.endDate, this._id);
+  if (nextReservation?.pickupLocationId &&
+      !nextReservation.pickupLocationId.equals(this.dropoffLocationId)) {
+    throw new AvailabilityError('Drop-off location conflicts with the next booking of this car');
+  }
+
+  const shortages = await findExtraShortages(
+    this.extras,
+    this.startDate,
+    this.endDate,
+    this._id
+  );
+  if (shortages.length > 0) {
+    throw new AvailabilityError(`Not enough stock for these dates: ${shortages.join(', ')}`);
   }
   next();
 });
 
+// Release the locks whether the write succeeded or failed
+const releaseLocks = async function(doc) {
+  const lockedIds = doc.$locals.lockedIds;
+  if (!lockedIds) return;
+  delete doc.$locals.lockedIds;
+  await Promise.all(lockedIds.map(id => ReservationLock.release(id, doc._id)));
+};
+
+// A completed rental leaves the car at its drop-off location with the
+// odometer reading from the return inspection
+reservationSchema.pre('save', function(next) {
+  if (!this.isModified('status') || this.status !== 'completed') return next();
+
+  const carUpdate = {};
+  if (this.dropoffLocationId) carUpdate.locationId = this.dropoffLocationId;
+  if (this.returnInspection) carUpdate.mileage = this.returnInspection.odometer;
+  if (Object.keys(carUpdate).length) this.$locals.carUpdate = carUpdate;
+  next();
+});
+
+reservationSchema.post('save', async function(doc) {
+  await releaseLocks(doc);
+
+  if (doc.$locals.carUpdate) {
+    const carUpdate = doc.$locals.carUpdate;
+    delete doc.$locals.carUpdate;
+    await mongoose.model('Car').updateOne({ _id: doc.carId }, carUpdate);
+  }
+});
+
+reservationSchema.post('save', async function(error, doc, next) {
+  await releaseLocks(this);
+  next(error);
+});
+
+reservationSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,70 @@
+// models/ReservationLock.js
+const mongoose = require('mongoose');
+
+const DEFAULT_TTL_MS = 10 * 1000;
+const RETRY_DELAY_MS = 50;
+const MAX_WAIT_MS = 5 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Short-lived lock on a bookable resource (a car), held from the overlap
+// check until the reservation is written so concurrent bookings serialize
+const reservationLockSchema = new mongoose.Schema({
+  // Id of the locked resource; the unique _id index makes acquiring atomic
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Stale locks (crashed requests) can be taken over once expired
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+reservationLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 });
+
+class LockTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LockTimeoutError';
+  }
+}
+
+// Wait until the resource lock is free, then take it for `owner`
+reservationLockSchema.statics.acquire = async function(resourceId, owner, options = {}) {
+  const { ttlMs = DEFAULT_TTL_MS, maxWaitMs = MAX_WAIT_MS } = options;
+  const deadline = Date.now() + maxWaitMs;
+
+  while (true) {
+    const now = new Date();
+    try {
+      // Matches an expired or self-owned lock; otherwise the upsert
+      // collides on _id with the live lock and throws E11000
+      await this.findOneAndUpdate(
+        { _id: resourceId, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+        { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+        { upsert: true }
+      );
+      return;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      if (Date.now() >= deadline) {
+        throw new LockTimeoutError('Car is being booked by another request, please retry');
+      }
+      await sleep(RETRY_DELAY_MS);
+    }
+  }
+};
+
+reservationLockSchema.statics.release = function(resourceId, owner) {
+  return this.deleteOne({ _id: resourceId, owner });
+};
+
+module.exports = mongoose.model('ReservationLock', reservationLockSchema);
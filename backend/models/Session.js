@@ -0,0 +1,100 @@
+// models/Session.js
+const mongoose = require('mongoose');
+const { REFRESH_TOKEN_TTL_MS } = require('../utils/tokens');
+
+const BROWSERS = [[/Edg\//, 'Edge'], [/OPR\//, 'Opera'], [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+const SYSTEMS = [[/Android/, 'Android'], [/iPhone|iPad/, 'iOS'], [/Windows/, 'Windows'],
+  [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']];
+
+// Short label such as "Chrome on Windows" for the session list
+const describeDevice = (userAgent = '') => {
+  const match = list => list.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const browser = match(BROWSERS);
+  const system = match(SYSTEMS);
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// One signed-in device. The refresh token rotates on every use, so only the
+// latest one is valid; presenting an older one revokes the session.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward on each refresh; expired sessions are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'reuse', 'password_reset']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+sessionSchema.index({ userId: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('active').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Unsaved session for a login from this user agent / IP
+sessionSchema.statics.start = function(userId, { userAgent, ip } = {}) {
+  return new this({ userId, userAgent, ip, device: describeDevice(userAgent) });
+};
+
+// Swap in the next refresh token. Resolves with null when `currentHash` is
+// no longer the latest token, e.g. a concurrent refresh won the race.
+sessionSchema.statics.rotate = function(sessionId, currentHash, nextHash, { ip } = {}) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: sessionId, tokenHash: currentHash, revokedAt: null },
+    {
+      tokenHash: nextHash,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+      ...(ip && { ip })
+    },
+    { new: true }
+  );
+};
+
+sessionSchema.statics.revoke = function(filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+sessionSchema.statics.describeDevice = describeDevice;
+
+module.exports = mongoose.model('Session', sessionSchema);
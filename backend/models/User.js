@@ -1,6 +1,11 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { verifyTotp } = require('../utils/totp');
+const { hashToken } = require('../utils/tokens');
+
+// Codes that may be tried with one login challenge
+const MAX_CHALLENGE_ATTEMPTS = 3;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -30,25 +35,88 @@ const userSchema = new mongoose.Schema({
   active: {
     type: Boolean,
     default: true
+  },
+  // Set once the user follows the link emailed to them
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Last verification email, for rate limiting resends
+  verificationSentAt: {
+    type: Date,
+    select: false
   },  
   deleted: {
     type: Date,
     default: null
-  }//,
-  //refreshToken: String,
-  //resetPasswordToken: String,
-  //resetPasswordExpire: Date,
-  //loginAttempts: {
-  // type: Number,
-  //  default: 0
-  //},
-  //lockUntil: Date
+  },
+  // SHA-256 of the emailed reset token
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication; the secret is set at setup and only
+  // takes effect once a first code has been verified
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Set by an admin to make this user enrol before using admin routes
+  twoFactorRequired: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 of each unused recovery code
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Time step of the last accepted code, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 of the current login challenge and the codes tried with it
+  twoFactorChallengeHash: {
+    type: String,
+    select: false
+  },
+  twoFactorChallengeAttempts: {
+    type: Number,
+    select: false
+  }
 }, {
   timestamps: true,
   toJSON: {
     virtuals: true,
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.resetPasswordToken;
+      delete ret.resetPasswordExpire;
+      delete ret.verificationSentAt;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorRecoveryCodes;
+      delete ret.twoFactorLastStep;
+      delete ret.twoFactorChallengeHash;
+      delete ret.twoFactorChallengeAttempts;
       delete ret._id;  // ?? Remove the _id field
       delete ret.__v;  // Remove version key
       return ret;
@@ -78,9 +146,87 @@ userSchema.pre('save', async function(next) {
 });
 
 // Account lock check
-//userSchema.virtual('isLocked').get(function() {
-//  return this.lockUntil && this.lockUntil > Date.now();
-//});
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Accounts created before email verification existed have no emailVerified
+// field; treat them as verified so they can keep booking. New signups always
+// get the field (default false), so running this again is harmless.
+userSchema.statics.verifyLegacyEmails = async function() {
+  const { modifiedCount } = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  return modifiedCount;
+};
+
+// 2FA is mandatory for admins when REQUIRE_ADMIN_2FA=true, and for anyone
+// flagged with twoFactorRequired
+userSchema.methods.twoFactorMandatory = function() {
+  return this.twoFactorRequired || (this.isAdmin && process.env.REQUIRE_ADMIN_2FA === 'true');
+};
+
+userSchema.methods.mustEnrolTwoFactor = function() {
+  return !this.twoFactorEnabled && this.twoFactorMandatory();
+};
+
+// Make `challengeToken` the only login challenge that can be answered;
+// issuing a new one cancels any earlier challenge
+userSchema.statics.startTwoFactorChallenge = function(userId, challengeToken) {
+  return this.updateOne({ _id: userId }, {
+    twoFactorChallengeHash: hashToken(challengeToken),
+    twoFactorChallengeAttempts: 0
+  });
+};
+
+// Claim one code attempt for a login challenge. False once the challenge
+// has been used, replaced or has had MAX_CHALLENGE_ATTEMPTS tries.
+userSchema.statics.claimTwoFactorAttempt = async function(userId, challengeToken) {
+  const { modifiedCount } = await this.updateOne(
+    {
+      _id: userId,
+      twoFactorChallengeHash: hashToken(challengeToken),
+      twoFactorChallengeAttempts: { $lt: MAX_CHALLENGE_ATTEMPTS }
+    },
+    { $inc: { twoFactorChallengeAttempts: 1 } }
+  );
+  return modifiedCount === 1;
+};
+
+// A challenge only completes one login
+userSchema.statics.endTwoFactorChallenge = function(userId) {
+  return this.updateOne({ _id: userId }, {
+    $unset: { twoFactorChallengeHash: 1, twoFactorChallengeAttempts: 1 }
+  });
+};
+
+// Accept a current authenticator code or an unused recovery code, using it
+// up either way. Needs twoFactorSecret selected.
+userSchema.methods.consumeTwoFactorCode = async function(code) {
+  const input = String(code || '').trim().toLowerCase();
+  if (!this.twoFactorSecret || !input) return false;
+
+  if (/^\d{6}$/.test(input)) {
+    const step = verifyTotp(this.twoFactorSecret, input);
+    if (step === null) return false;
+    const { modifiedCount } = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }]
+      },
+      { twoFactorLastStep: step }
+    );
+    return modifiedCount === 1;
+  }
+
+  const hash = hashToken(input);
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return modifiedCount === 1;
+};
 
 // Password comparison method
 userSchema.methods.comparePassword = async function(candidatePassword) {
@@ -89,10 +235,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 
 userSchema.pre('deleteOne', { document: true }, async function(next) {
   await mongoose.model('Location').deleteMany({ userId: this._id });
+  await mongoose.model('Session').deleteMany({ userId: this._id });
   next();
 });
 
 // Indexes
 userSchema.index({ createdAt: 1 });
+userSchema.index({ resetPasswordToken: 1 }, { sparse: true });
 
 module.exports = mongoose.model('User', userSchema);
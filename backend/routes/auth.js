@@ -1,9 +1,131 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { loginUser, getMe } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const { getMe } = require('../controllers/userController');
+const {
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  loginTwoFactor,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession
+} = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { protect, verifyRefreshToken } = require('../middleware/auth');
+
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+    res.status(400).json({ errors: errors.array() });
+  };
+};
+
+router.post('/login',
+  validate([
+    body('email').trim().isEmail().withMessage('Invalid email'),
+    body('password').notEmpty().withMessage('Password is required')
+  ]),
+  login
+);
+
+// Second step for accounts with 2FA: code or recovery code
+router.post('/login/2fa',
+  validate([
+    body('challengeToken').isJWT().withMessage('Invalid challenge token'),
+    body('code').trim().notEmpty().withMessage('Authentication code is required')
+  ]),
+  loginTwoFactor
+);
+
+// New access token from the refresh cookie
+router.post('/refresh', verifyRefreshToken, refresh);
+
+router.post('/logout', verifyRefreshToken, logout);
+
+router.post('/forgot-password',
+  validate([
+    body('email').trim().isEmail().withMessage('Invalid email')
+  ]),
+  forgotPassword
+);
+
+router.post('/reset-password',
+  validate([
+    body('token').isHexadecimal().withMessage('Invalid token'),
+    body('password')
+      .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+  ]),
+  resetPassword
+);
 
-router.post('/login', loginUser);
 router.get('/me', protect, getMe);
 
+router.get('/verify-email',
+  validate([
+    query('token').isJWT().withMessage('Invalid verification token')
+  ]),
+  verifyEmail
+);
+
+// On top of the per-user cooldown, cap resends per client
+const resendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: { error: 'Too many verification emails requested, try again later' },
+  validate: { xForwardedForHeader: false }
+});
+
+router.post('/verify-email/resend', protect, resendLimiter, resendVerification);
+
+// Two-factor enrolment and management
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+router.post('/2fa/enable',
+  protect,
+  validate([
+    body('code').trim().matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your app')
+  ]),
+  enableTwoFactor
+);
+
+router.post('/2fa/disable',
+  protect,
+  validate([
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').trim().notEmpty().withMessage('Authentication code is required')
+  ]),
+  disableTwoFactor
+);
+
+router.post('/2fa/recovery-codes',
+  protect,
+  validate([
+    body('code').trim().notEmpty().withMessage('Authentication code is required')
+  ]),
+  regenerateRecoveryCodes
+);
+
+// Signed-in devices of the current user
+router.get('/sessions', protect, getSessions);
+
+router.delete('/sessions/:id',
+  protect,
+  validate([
+    param('id').isMongoId().withMessage('Invalid session ID')
+  ]),
+  revokeSession
+);
+
 module.exports = router;
@@ -3,18 +3,24 @@ const { body, param, query } = require('express-validator');
 const router = express.Router();
 const { validationResult } = require('express-validator');
 const { protect, admin } = require('../middleware/auth');
-const { upload, processImage } = require('../middleware/fileUpload');
-const Car = require('../models/Car');
-const fs = require('fs');
-const path = require('path');
+const { upload, uploadPhotos, processImage } = require('../middleware/fileUpload');
+const { assertValidRange } = require('../utils/calendar');
 const multer = require('multer');
 
 const {
   getCars,
   getCarById,
+  getQuote,
+  getCarCalendar,
   createCar,
   updateCar,
-  deleteCar
+  deleteCar,
+  addCarImages,
+  reorderCarImages,
+  updateCarImage,
+  setCoverImage,
+  deleteCarImage,
+  replaceCoverImage
 } = require('../controllers/carController');
 
 const validate = (validations) => {
@@ -33,7 +39,37 @@ router.get('/',
     query('available').optional().isBoolean(),
     query('minPrice').optional().isFloat({ min: 0 }),
     query('maxPrice').optional().isFloat({ min: 0 }),
-    query('brand').optional().trim().escape()
+    query('brand').optional().trim().escape(),
+    query('startDate')
+      .optional()
+      .isISO8601().withMessage('Invalid start date')
+      .custom((value, { req }) => !!req.query.endDate)
+      .withMessage('endDate is required with startDate'),
+    query('endDate')
+      .optional()
+      .isISO8601().withMessage('Invalid end date')
+      .custom((value, { req }) => {
+        if (!req.query.startDate) throw new Error('startDate is required with endDate');
+        if (new Date(value) <= new Date(req.query.startDate)) {
+          throw new Error('End date must be after start date');
+        }
+        return true;
+      }),
+    query('lat')
+      .optional()
+      .isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude')
+      .custom((value, { req }) => !!req.query.lng)
+      .withMessage('lng is required with lat'),
+    query('lng')
+      .optional()
+      .isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+      .custom((value, { req }) => !!req.query.lat)
+      .withMessage('lat is required with lng'),
+    query('radius')
+      .optional()
+      .isFloat({ min: 0.1, max: 500 }).withMessage('Radius must be between 0.1 and 500 km')
+      .custom((value, { req }) => !!(req.query.lat && req.query.lng))
+      .withMessage('lat and lng are required with radius')
   ]),
   getCars
 );
@@ -46,6 +82,32 @@ router.get('/:id',
   getCarById
 );
 
+// GET price quote for a car
+router.get('/:id/quote',
+  validate([
+    param('id').isMongoId().withMessage('Invalid car ID'),
+    query('startDate').isISO8601().withMessage('Invalid start date'),
+    query('endDate')
+      .isISO8601().withMessage('Invalid end date')
+      .custom((value, { req }) => new Date(value) > new Date(req.query.startDate))
+      .withMessage('End date must be after start date')
+  ]),
+  getQuote
+);
+
+// GET availability calendar for a car
+router.get('/:id/calendar',
+  validate([
+    param('id').isMongoId().withMessage('Invalid car ID'),
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to')
+      .optional()
+      .isISO8601().withMessage('Invalid to date')
+      .custom((value, { req }) => assertValidRange(req.query.from, value))
+  ]),
+  getCarCalendar
+);
+
 // POST create car (Admin only)
 router.post('/',
   protect,
@@ -62,7 +124,10 @@ router.post('/',
     body('imageUrl').isURL({ require_protocol: true }),
     body('fuelType').optional().isIn(['petrol', 'diesel', 'electric', 'hybrid', 'other']),
     body('transmission').optional().isIn(['manual', 'automatic', 'semi-automatic']),
-    body('seats').optional().isInt({ min: 1, max: 16 })
+    body('seats').optional().isInt({ min: 1, max: 16 }),
+    body('mileage').optional().isInt({ min: 0 }),
+    body('serviceIntervalKm').optional().isInt({ min: 1000 }),
+    body('lastServiceMileage').optional().isInt({ min: 0 })
   ]),
   createCar
 );
@@ -79,8 +144,13 @@ router.put('/:id',
     body('year').optional().isInt({ min: 1900, max: new Date().getFullYear() + 1 }),
     body('priceByDay').optional().isFloat({ min: 1 }),
     body('registrationNumber').optional().trim().matches(/^[A-Z0-9]{6,12}$/),
-    body('imageUrl').optional().isURL({ require_protocol: true }),
-    body('available').optional().isBoolean()
+    // The cover and gallery only change through the image endpoints below
+    body(['imageUrl', 'images', 'coverImageId'])
+      .not().exists().withMessage('Use the car image endpoints to change images'),
+    body('available').optional().isBoolean(),
+    body('mileage').optional().isInt({ min: 0 }),
+    body('serviceIntervalKm').optional().isInt({ min: 1000 }),
+    body('lastServiceMileage').optional().isInt({ min: 0 })
   ]),
   updateCar
 );
@@ -100,15 +170,19 @@ router.post('/test-upload',
   (req, res) => {
     res.json({
       original: req.file.originalname,
-      savedAs: req.file.filename,
-      path: req.file.path,
+      savedAs: req.file.key,
+      url: req.file.url,
       size: req.file.size
     });
   }
 );
+// PUT replace the cover image (Admin only)
 router.put('/:id/image',
   protect,
   admin,
+  validate([
+    param('id').isMongoId()
+  ]),
   (req, res, next) => {
     upload(req, res, function (err) {
       if (err) {
@@ -118,43 +192,68 @@ router.put('/:id/image',
     });
   },
   processImage,
-  async (req, res) => {
-    try {
-      const car = await Car.findById(req.params.id);
-      if (!car) return res.status(404).json({ error: 'Car not found' });
+  replaceCoverImage
+);
 
-      // Delete old image if exists and not default
-      if (car.imageUrl && car.imageUrl !== '/images/default-car.jpg') {
-        const filename = car.imageUrl.split('/images/')[1];
-        if (filename) {
-          const oldImagePath = path.join(
-            __dirname, 
-            '..',
-            'uploads',
-            'cars',
-            filename
-          );
-          
-          if (fs.existsSync(oldImagePath)) {
-            fs.unlinkSync(oldImagePath);
-          }
-        }
-      }
+// POST add gallery images (Admin only)
+router.post('/:id/images',
+  protect,
+  admin,
+  uploadPhotos('cars', 'images'),
+  processImage,
+  validate([
+    param('id').isMongoId(),
+    body().custom((value, { req }) => req.files?.length > 0)
+      .withMessage('No images uploaded'),
+    body('alt.*').optional().trim().isLength({ max: 200 })
+  ]),
+  addCarImages
+);
+
+// PUT reorder gallery images (Admin only)
+router.put('/:id/images/order',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId(),
+    body('order').isArray({ min: 1 }),
+    body('order.*').isMongoId()
+  ]),
+  reorderCarImages
+);
 
-      // Update with new image URL
-      const relativePath = req.file.path.replace(/\\/g, '/').split('uploads/')[1];
-      const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-      car.imageUrl = `/images/${relativePath}`;
-      await car.save();
+// PATCH update gallery image alt text (Admin only)
+router.patch('/:id/images/:imageId',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId(),
+    param('imageId').isMongoId(),
+    body('alt').isString().trim().isLength({ max: 200 })
+  ]),
+  updateCarImage
+);
 
-      res.json({
-        message: 'Image uploaded successfully',
-        imageUrl: car.imageUrl
-      });
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ error: 'Image upload failed' });
-    }
-  }
+// PUT set cover image (Admin only)
+router.put('/:id/images/:imageId/cover',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId(),
+    param('imageId').isMongoId()
+  ]),
+  setCoverImage
+);
+
+// DELETE gallery image (Admin only)
+router.delete('/:id/images/:imageId',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId(),
+    param('imageId').isMongoId()
+  ]),
+  deleteCarImage
 );
+
 module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const { protect, admin } = require('../middleware/auth');
+
+const {
+  getCleanupReports,
+  getCleanupReportById,
+  runCleanup
+} = require('../controllers/cleanupReportController');
+
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+    res.status(400).json({ errors: errors.array() });
+  };
+};
+
+// Cleanup reports are for admins only
+router.use(protect, admin);
+
+// GET recent cleanup reports
+router.get('/',
+  validate([
+    query('status').optional().isIn(['running', 'completed', 'failed']),
+    query('trigger').optional().isIn(['schedule', 'manual']),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ]),
+  getCleanupReports
+);
+
+// GET single cleanup report
+router.get('/:id',
+  validate([
+    param('id').isMongoId()
+  ]),
+  getCleanupReportById
+);
+
+// POST run a cleanup now (dry run unless dryRun is false)
+router.post('/',
+  validate([
+    body('dryRun').optional().isBoolean().toBoolean(),
+    body('minAgeMinutes').optional().isInt({ min: 0 }).toInt()
+  ]),
+  runCleanup
+);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const { protect, admin } = require('../middleware/auth');
+const { uploadPhotos, processImage } = require('../middleware/fileUpload');
+const DamageReport = require('../models/DamageReport');
+
+const {
+  getDamageReports,
+  getDamageReportById,
+  createDamageReport,
+  updateDamageReport,
+  updateDamageReportStatus,
+  addDamagePhotos,
+  deleteDamageReport
+} = require('../controllers/damageReportController');
+
+const SEVERITIES = ['minor', 'moderate', 'severe'];
+const AREAS = DamageReport.schema.path('area').enumValues;
+
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+    res.status(400).json({ errors: errors.array() });
+  };
+};
+
+// Damage reports are managed by admins only
+router.use(protect, admin);
+
+// GET all damage reports
+router.get('/',
+  validate([
+    query('carId').optional().isMongoId(),
+    query('reservationId').optional().isMongoId(),
+    query('status').optional().isIn(Object.keys(DamageReport.STATUS_TRANSITIONS)),
+    query('severity').optional().isIn(SEVERITIES)
+  ]),
+  getDamageReports
+);
+
+// GET single damage report
+router.get('/:id',
+  validate([
+    param('id').isMongoId()
+  ]),
+  getDamageReportById
+);
+
+// POST create damage report (multipart, optional photos)
+router.post('/',
+  uploadPhotos('damage'),
+  processImage,
+  validate([
+    body('carId').isMongoId(),
+    body('reservationId').optional().isMongoId(),
+    body('severity').isIn(SEVERITIES),
+    body('area').isIn(AREAS),
+    body('description').optional().trim().isLength({ max: 2000 }),
+    body('estimatedCost').optional().isFloat({ min: 0 })
+  ]),
+  createDamageReport
+);
+
+// PUT update damage report
+router.put('/:id',
+  validate([
+    param('id').isMongoId(),
+    body('severity').optional().isIn(SEVERITIES),
+    body('area').optional().isIn(AREAS),
+    body('description').optional().trim().isLength({ max: 2000 }),
+    body('estimatedCost').optional().isFloat({ min: 0 }),
+    body('repairCost').optional().isFloat({ min: 0 })
+  ]),
+  updateDamageReport
+);
+
+// PATCH damage report status
+router.patch('/:id/status',
+  validate([
+    param('id').isMongoId(),
+    body('status').isIn(Object.keys(DamageReport.STATUS_TRANSITIONS)),
+    body('repairCost').optional().isFloat({ min: 0 })
+  ]),
+  updateDamageReportStatus
+);
+
+// POST add photos to a damage report
+router.post('/:id/photos',
+  uploadPhotos('damage'),
+  processImage,
+  validate([
+    param('id').isMongoId(),
+    body().custom((value, { req }) => req.files?.length > 0)
+      .withMessage('No photos uploaded')
+  ]),
+  addDamagePhotos
+);
+
+// DELETE damage report
+router.delete('/:id',
+  validate([
+    param('id').isMongoId()
+  ]),
+  deleteDamageReport
+);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const { protect, admin } = require('../middleware/auth');
+
+const {
+  getExtras,
+  getExtraById,
+  createExtra,
+  updateExtra,
+  deleteExtra
+} = require('../controllers/extraController');
+
+const CATEGORIES = ['insurance', 'child_seat', 'gps', 'extra_driver', 'other'];
+
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+    res.status(400).json({ errors: errors.array() });
+  };
+};
+
+// GET all extras
+router.get('/',
+  validate([
+    query('locationId').optional().isMongoId(),
+    query('category').optional().isIn(CATEGORIES),
+    query('active').optional().isBoolean()
+  ]),
+  getExtras
+);
+
+// GET single extra
+router.get('/:id',
+  validate([
+    param('id').isMongoId().withMessage('Invalid extra ID')
+  ]),
+  getExtraById
+);
+
+// POST create extra (Admin only)
+router.post('/',
+  protect,
+  admin,
+  validate([
+    body('locationId').isMongoId(),
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('category').optional().isIn(CATEGORIES),
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('pricingType').isIn(['per_day', 'per_rental']),
+    body('price').isFloat({ min: 0 }),
+    body('stock').optional().isInt({ min: 0 }),
+    body('active').optional().isBoolean()
+  ]),
+  createExtra
+);
+
+// PUT update extra (Admin only)
+router.put('/:id',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId(),
+    body('locationId').optional().isMongoId(),
+    body('name').optional().trim().isLength({ max: 100 }),
+    body('category').optional().isIn(CATEGORIES),
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('pricingType').optional().isIn(['per_day', 'per_rental']),
+    body('price').optional().isFloat({ min: 0 }),
+    body('stock').optional().isInt({ min: 0 }),
+    body('active').optional().isBoolean()
+  ]),
+  updateExtra
+);
+
+// DELETE extra (Admin only)
+router.delete('/:id',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId()
+  ]),
+  deleteExtra
+);
+
+module.exports = router;
@@ -2,11 +2,15 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const router = express.Router();
 const { validationResult } = require('express-validator');
+const { assertValidRange } = require('../utils/calendar');
+const { TIME_PATTERN, DATE_PATTERN, isValidTimeZone } = require('../utils/openingHours');
 //const { protect } = require('../middleware/auth');
 
 const {
   getLocations,
+  getNearbyLocations,
   getLocationById,
+  getLocationCalendar,
   createLocation,
   updateLocation,
   deleteLocation,
@@ -31,6 +35,48 @@ router.get('/search',
   searchLocations
 );
 
+// lat and lng always come together
+const coordinateValidators = [
+  body('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude')
+    .custom((value, { req }) => req.body.lng !== undefined)
+    .withMessage('lng is required with lat'),
+  body('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+    .custom((value, { req }) => req.body.lat !== undefined)
+    .withMessage('lat is required with lng')
+];
+
+const openingHoursValidators = [
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone).withMessage('Invalid time zone'),
+  body('openingHours').optional().isArray(),
+  body('openingHours.*.day').isInt({ min: 0, max: 6 }),
+  body('openingHours.*.open').matches(TIME_PATTERN).withMessage('Opening time must be HH:MM'),
+  body('openingHours.*.close').matches(TIME_PATTERN).withMessage('Closing time must be HH:MM'),
+  body('hoursExceptions').optional().isArray(),
+  body('hoursExceptions.*.date').matches(DATE_PATTERN).withMessage('Date must be YYYY-MM-DD'),
+  body('hoursExceptions.*.closed').optional().isBoolean(),
+  body('hoursExceptions.*.open').optional().matches(TIME_PATTERN),
+  body('hoursExceptions.*.close').optional().matches(TIME_PATTERN),
+  body('hoursExceptions.*.note').optional().trim().isLength({ max: 100 }),
+  body('afterHoursKeyDrop').optional().isBoolean()
+];
+
+// GET locations near a point (radius in km)
+router.get('/nearby',
+  validate([
+    query('lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    query('lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    query('radius').optional().isFloat({ min: 0.1, max: 500 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ]),
+  getNearbyLocations
+);
+
 // GET all locations
 router.get('/',
   validate([
@@ -49,6 +95,19 @@ router.get('/:id',
   getLocationById
 );
 
+// GET fleet calendar for a location
+router.get('/:id/calendar',
+  validate([
+    param('id').isMongoId().withMessage('Invalid location ID'),
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to')
+      .optional()
+      .isISO8601().withMessage('Invalid to date')
+      .custom((value, { req }) => assertValidRange(req.query.from, value))
+  ]),
+  getLocationCalendar
+);
+
 // POST create location
 router.post('/',
   validate([
@@ -66,7 +125,20 @@ router.post('/',
     body('cityId')
       .isMongoId().withMessage('Invalid city ID'),
     body('userId')
-      .isMongoId().withMessage('Invalid user ID')
+      .isMongoId().withMessage('Invalid user ID'),
+    ...coordinateValidators,
+    ...openingHoursValidators,
+    body('turnaroundHours').optional().isFloat({ min: 0, max: 168 }),
+    body('pricing.weekendMultiplier').optional().isFloat({ min: 0 }),
+    body('pricing.weeklyDiscountPercent').optional().isFloat({ min: 0, max: 100 }),
+    body('pricing.monthlyDiscountPercent').optional().isFloat({ min: 0, max: 100 }),
+    body('pricing.minimumCharge').optional().isFloat({ min: 0 }),
+    body('pricing.dailyMileageAllowance').optional().isInt({ min: 0 }),
+    body('pricing.excessMileageRate').optional().isFloat({ min: 0 }),
+    body('pricing.refuelChargePerEighth').optional().isFloat({ min: 0 }),
+    body('cancellationPolicy').optional().isArray(),
+    body('cancellationPolicy.*.hoursBeforeStart').isFloat({ min: 0 }),
+    body('cancellationPolicy.*.refundPercent').isFloat({ min: 0, max: 100 })
   ]),
   createLocation
 );
@@ -80,7 +152,20 @@ router.put('/:id',
     body('address').optional().trim().isLength({ max: 200 }),
     body('phone_number').optional().trim().matches(/^\+?[0-9\s\-()]{7,20}$/),
     body('cityId').optional().isMongoId(),
-    body('userId').optional().isMongoId()
+    body('userId').optional().isMongoId(),
+    ...coordinateValidators,
+    ...openingHoursValidators,
+    body('turnaroundHours').optional().isFloat({ min: 0, max: 168 }),
+    body('pricing.weekendMultiplier').optional().isFloat({ min: 0 }),
+    body('pricing.weeklyDiscountPercent').optional().isFloat({ min: 0, max: 100 }),
+    body('pricing.monthlyDiscountPercent').optional().isFloat({ min: 0, max: 100 }),
+    body('pricing.minimumCharge').optional().isFloat({ min: 0 }),
+    body('pricing.dailyMileageAllowance').optional().isInt({ min: 0 }),
+    body('pricing.excessMileageRate').optional().isFloat({ min: 0 }),
+    body('pricing.refuelChargePerEighth').optional().isFloat({ min: 0 }),
+    body('cancellationPolicy').optional().isArray(),
+    body('cancellationPolicy.*.hoursBeforeStart').isFloat({ min: 0 }),
+    body('cancellationPolicy.*.refundPercent').isFloat({ min: 0, max: 100 })
   ]),
   //verifyOwnership,
   updateLocation
@@ -0,0 +1,100 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const { protect, admin } = require('../middleware/auth');
+
+const {
+  getMaintenanceRecords,
+  getServiceDue,
+  getMaintenanceById,
+  createMaintenance,
+  updateMaintenance,
+  deleteMaintenance
+} = require('../controllers/maintenanceController');
+
+const TYPES = ['service', 'repair', 'inspection', 'tires', 'cleaning', 'other'];
+const STATUSES = ['scheduled', 'in_progress', 'completed', 'cancelled'];
+
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+    res.status(400).json({ errors: errors.array() });
+  };
+};
+
+// Maintenance is managed by admins only
+router.use(protect, admin);
+
+// GET all maintenance records
+router.get('/',
+  validate([
+    query('carId').optional().isMongoId(),
+    query('status').optional().isIn(STATUSES),
+    query('type').optional().isIn(TYPES),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601()
+  ]),
+  getMaintenanceRecords
+);
+
+// GET cars due for a service
+router.get('/due',
+  validate([
+    query('locationId').optional().isMongoId(),
+    query('withinKm').optional().isInt({ min: 0 })
+  ]),
+  getServiceDue
+);
+
+// GET single maintenance record
+router.get('/:id',
+  validate([
+    param('id').isMongoId()
+  ]),
+  getMaintenanceById
+);
+
+// POST schedule maintenance
+router.post('/',
+  validate([
+    body('carId').isMongoId(),
+    body('type').isIn(TYPES),
+    body('startDate').isISO8601().withMessage('Invalid start date'),
+    body('endDate')
+      .isISO8601().withMessage('Invalid end date')
+      .custom((value, { req }) => new Date(value) > new Date(req.body.startDate))
+      .withMessage('End date must be after start date'),
+    body('notes').optional().trim().isLength({ max: 1000 }),
+    body('cost').optional().isFloat({ min: 0 }),
+    body('status').optional().isIn(STATUSES)
+  ]),
+  createMaintenance
+);
+
+// PUT update maintenance
+router.put('/:id',
+  validate([
+    param('id').isMongoId(),
+    body('carId').optional().isMongoId(),
+    body('type').optional().isIn(TYPES),
+    body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    body('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    body('notes').optional().trim().isLength({ max: 1000 }),
+    body('cost').optional().isFloat({ min: 0 }),
+    body('status').optional().isIn(STATUSES)
+  ]),
+  updateMaintenance
+);
+
+// DELETE maintenance record
+router.delete('/:id',
+  validate([
+    param('id').isMongoId()
+  ]),
+  deleteMaintenance
+);
+
+module.exports = router;
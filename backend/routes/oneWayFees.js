@@ -0,0 +1,73 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const { protect, admin } = require('../middleware/auth');
+
+const {
+  getOneWayFees,
+  createOneWayFee,
+  updateOneWayFee,
+  deleteOneWayFee
+} = require('../controllers/oneWayFeeController');
+
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+    res.status(400).json({ errors: errors.array() });
+  };
+};
+
+// GET all one-way fees
+router.get('/',
+  validate([
+    query('fromLocationId').optional().isMongoId(),
+    query('toLocationId').optional().isMongoId(),
+    query('fromCityId').optional().isMongoId(),
+    query('toCityId').optional().isMongoId()
+  ]),
+  getOneWayFees
+);
+
+// POST create one-way fee (Admin only)
+router.post('/',
+  protect,
+  admin,
+  validate([
+    body('fromLocationId').optional().isMongoId(),
+    body('toLocationId').optional().isMongoId(),
+    body('fromCityId').optional().isMongoId(),
+    body('toCityId').optional().isMongoId(),
+    body('fee').isFloat({ min: 0 })
+  ]),
+  createOneWayFee
+);
+
+// PUT update one-way fee (Admin only)
+router.put('/:id',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId(),
+    body('fromLocationId').optional().isMongoId(),
+    body('toLocationId').optional().isMongoId(),
+    body('fromCityId').optional().isMongoId(),
+    body('toCityId').optional().isMongoId(),
+    body('fee').optional().isFloat({ min: 0 })
+  ]),
+  updateOneWayFee
+);
+
+// DELETE one-way fee (Admin only)
+router.delete('/:id',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId()
+  ]),
+  deleteOneWayFee
+);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const { protect, admin } = require('../middleware/auth');
+
+const {
+  getPromoCodes,
+  getPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+} = require('../controllers/promoCodeController');
+
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+    res.status(400).json({ errors: errors.array() });
+  };
+};
+
+const promoCodeFields = [
+  body('description').optional().trim().isLength({ max: 200 }),
+  body('validFrom').optional().isISO8601(),
+  body('validUntil').optional().isISO8601(),
+  body('maxUses').optional().isInt({ min: 1 }),
+  body('maxUsesPerUser').optional().isInt({ min: 1 }),
+  body('restrictions.locationIds').optional().isArray(),
+  body('restrictions.locationIds.*').isMongoId(),
+  body('restrictions.brands').optional().isArray(),
+  body('restrictions.brands.*').isString().trim(),
+  body('restrictions.fuelTypes').optional().isArray(),
+  body('restrictions.fuelTypes.*').isIn(['petrol', 'diesel', 'electric', 'hybrid', 'other']),
+  body('active').optional().isBoolean()
+];
+
+// All promo code management is admin only
+router.use(protect, admin);
+
+// GET all promo codes
+router.get('/',
+  validate([
+    query('active').optional().isBoolean()
+  ]),
+  getPromoCodes
+);
+
+// GET single promo code
+router.get('/:id',
+  validate([
+    param('id').isMongoId().withMessage('Invalid promo code ID')
+  ]),
+  getPromoCodeById
+);
+
+// POST create promo code
+router.post('/',
+  validate([
+    body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Invalid promo code format'),
+    body('discountType').isIn(['percentage', 'fixed']),
+    body('amount').isFloat({ min: 0 }),
+    ...promoCodeFields
+  ]),
+  createPromoCode
+);
+
+// PUT update promo code
+router.put('/:id',
+  validate([
+    param('id').isMongoId().withMessage('Invalid promo code ID'),
+    body('code').optional().trim().matches(/^[A-Za-z0-9_-]{3,30}$/),
+    body('discountType').optional().isIn(['percentage', 'fixed']),
+    body('amount').optional().isFloat({ min: 0 }),
+    ...promoCodeFields
+  ]),
+  updatePromoCode
+);
+
+// DELETE promo code
+router.delete('/:id',
+  validate([
+    param('id').isMongoId().withMessage('Invalid promo code ID')
+  ]),
+  deletePromoCode
+);
+
+module.exports = router;
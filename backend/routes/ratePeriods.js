@@ -0,0 +1,75 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const { protect, admin } = require('../middleware/auth');
+
+const {
+  getRatePeriods,
+  createRatePeriod,
+  updateRatePeriod,
+  deleteRatePeriod
+} = require('../controllers/ratePeriodController');
+
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+    res.status(400).json({ errors: errors.array() });
+  };
+};
+
+// GET all rate periods
+router.get('/',
+  validate([
+    query('carId').optional().isMongoId(),
+    query('locationId').optional().isMongoId()
+  ]),
+  getRatePeriods
+);
+
+// POST create rate period (Admin only)
+router.post('/',
+  protect,
+  admin,
+  validate([
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('carId').optional().isMongoId(),
+    body('locationId').optional().isMongoId(),
+    body('startDate').isISO8601(),
+    body('endDate').isISO8601(),
+    body('multiplier').optional().isFloat({ min: 0 }),
+    body('dailyRate').optional().isFloat({ min: 0 })
+  ]),
+  createRatePeriod
+);
+
+// PUT update rate period (Admin only)
+router.put('/:id',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId(),
+    body('name').optional().trim().isLength({ max: 100 }),
+    body('carId').optional().isMongoId(),
+    body('locationId').optional().isMongoId(),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('multiplier').optional().isFloat({ min: 0 }),
+    body('dailyRate').optional().isFloat({ min: 0 })
+  ]),
+  updateRatePeriod
+);
+
+// DELETE rate period (Admin only)
+router.delete('/:id',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId()
+  ]),
+  deleteRatePeriod
+);
+
+module.exports = router;
@@ -1,15 +1,40 @@
 const express = require('express');
+const { body, param, validationResult } = require('express-validator');
 const router = express.Router();
+const Reservation = require('../models/Reservation');
 const {
   createReservation,
+  updateReservation,
   getUserReservations,
-  updateReservationStatus
+  updateReservationStatus,
+  cancelReservation,
+  recordPickup,
+  recordReturn
 } = require('../controllers/reservationController');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requireVerifiedEmail, admin } = require('../middleware/auth');
+const { uploadPhotos, processImage } = require('../middleware/fileUpload');
+
+const validate = (validations) => {
+  return async (req, res, next) => {
+    await Promise.all(validations.map(validation => validation.run(req)));
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+    res.status(400).json({ errors: errors.array() });
+  };
+};
 
 // POST /reservations
 router.post('/',
   protect,
+  requireVerifiedEmail,
+  validate([
+    body('pickupLocationId').optional().isMongoId().withMessage('Invalid pickup location ID'),
+    body('dropoffLocationId').optional().isMongoId().withMessage('Invalid drop-off location ID'),
+    body('promoCode').optional().isString().trim().isLength({ min: 3, max: 30 }),
+    body('extras').optional().isArray({ max: 20 }),
+    body('extras.*.extraId').isMongoId().withMessage('Invalid extra ID'),
+    body('extras.*.quantity').optional().isInt({ min: 1, max: 10 }).toInt()
+  ]),
   (req, res, next) => {
     // Verify user is properly attached
     if (!req.user || !req.user._id) {
@@ -27,11 +52,67 @@ router.get('/my-reservations',
   getUserReservations
 );
 
+// PATCH /reservations/:id
+router.patch('/:id',
+  protect,
+  validate([
+    param('id').isMongoId().withMessage('Invalid reservation ID'),
+    body('carId').optional().isMongoId().withMessage('Invalid car ID'),
+    body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    body('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    body().custom(value => ['carId', 'startDate', 'endDate'].some(f => value[f]))
+      .withMessage('Nothing to update')
+  ]),
+  updateReservation
+);
+
 // PATCH /reservations/:id/status
 router.patch('/:id/status',
   protect,
   admin,
+  validate([
+    param('id').isMongoId().withMessage('Invalid reservation ID'),
+    body('status')
+      .isIn(Object.keys(Reservation.STATUS_TRANSITIONS))
+      .withMessage('Invalid reservation status')
+  ]),
   updateReservationStatus
 );
 
+// POST /reservations/:id/cancel
+router.post('/:id/cancel',
+  protect,
+  validate([
+    param('id').isMongoId().withMessage('Invalid reservation ID')
+  ]),
+  cancelReservation
+);
+
+const inspectionValidators = [
+  param('id').isMongoId().withMessage('Invalid reservation ID'),
+  body('odometer').isInt({ min: 0 }).withMessage('Invalid odometer reading'),
+  body('fuelLevel').isInt({ min: 0, max: 8 }).withMessage('Fuel level must be 0-8 eighths'),
+  body('damageNotes').optional().trim().isLength({ max: 2000 })
+];
+
+// POST /reservations/:id/pickup (Admin only)
+router.post('/:id/pickup',
+  protect,
+  admin,
+  uploadPhotos('inspections'),
+  processImage,
+  validate(inspectionValidators),
+  recordPickup
+);
+
+// POST /reservations/:id/return (Admin only)
+router.post('/:id/return',
+  protect,
+  admin,
+  uploadPhotos('inspections'),
+  processImage,
+  validate(inspectionValidators),
+  recordReturn
+);
+
 module.exports = router;
@@ -3,11 +3,13 @@ const express = require('express');
 const { body, param, validationResult, query } = require('express-validator');
 const router = express.Router();
 //const { protect } = require('../middleware/auth');
+const { protect, admin } = require('../middleware/auth');
 
 const { 
   getUsers, 
   createUser, 
   updateUser, 
+  setTwoFactorRequired,
   softDeleteUser, 
   deleteUser 
 } = require('../controllers/userController');
@@ -79,6 +81,19 @@ router.put(
   wrapAsync(updateUser)
 );
 
+// PUT /users/:id/two-factor-required
+// Force the user to enrol in two-factor authentication
+router.put(
+  '/:id/two-factor-required',
+  protect,
+  admin,
+  validate([
+    param('id').isMongoId().withMessage('Invalid user ID'),
+    body('twoFactorRequired').isBoolean().withMessage('twoFactorRequired must be a boolean').toBoolean()
+  ]),
+  wrapAsync(setTwoFactorRequired)
+);
+
 router.delete('/:id/soft',
   //protect,
   validate([param('id').isMongoId()]),
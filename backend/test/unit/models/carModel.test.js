@@ -233,6 +233,96 @@ describe('Car Model Integration Tests', () => {
     });
   });
 
+  describe('Image Gallery', () => {
+    let car;
+
+    beforeEach(async () => {
+      car = await Car.create({
+        locationId: testLocation._id,
+        brand: 'Audi',
+        model: 'A4',
+        year: 2023,
+        priceByDay: 110,
+        registrationNumber: 'AUDIA4123',
+        images: [
+          { url: '/images/cars/front.jpg', alt: 'Front' },
+          { url: '/images/cars/side.jpg', alt: 'Side' }
+        ]
+      });
+    });
+
+    it('should use the first image as cover by default', () => {
+      expect(car.coverImageId.toString()).to.equal(car.images[0].id);
+      expect(car.imageUrl).to.equal('/images/cars/front.jpg');
+    });
+
+    it('should follow the chosen cover image', async () => {
+      car.coverImageId = car.images[1]._id;
+      await car.save();
+
+      expect(car.imageUrl).to.equal('/images/cars/side.jpg');
+    });
+
+    it('should fall back to the next image when the cover is removed', async () => {
+      car.images[0].deleteOne();
+      await car.save();
+
+      expect(car.imageUrl).to.equal('/images/cars/side.jpg');
+
+      car.images[0].deleteOne();
+      await car.save();
+
+      expect(car.coverImageId).to.be.undefined;
+      expect(car.imageUrl).to.equal('/images/default-car.jpg');
+    });
+
+    it('should keep a legacy imageUrl as the cover when images are added', async () => {
+      const legacy = await Car.create({
+        locationId: testLocation._id,
+        brand: 'Audi',
+        model: 'A3',
+        year: 2019,
+        priceByDay: 80,
+        registrationNumber: 'AUDIA3123',
+        imageUrl: '/images/cars/legacy.jpg'
+      });
+
+      legacy.adoptLegacyImage();
+      legacy.images.push({ url: '/images/cars/new.jpg' });
+      await legacy.save();
+
+      expect(legacy.images.map(image => image.url))
+        .to.deep.equal(['/images/cars/legacy.jpg', '/images/cars/new.jpg']);
+      expect(legacy.imageUrl).to.equal('/images/cars/legacy.jpg');
+
+      legacy.adoptLegacyImage();
+      expect(legacy.images).to.have.lengthOf(2);
+    });
+
+    it('should expose variant srcsets and every stored file', () => {
+      const image = new Car({
+        images: [{
+          url: '/images/cars/a.jpg',
+          variants: {
+            thumb: { width: 240, height: 160, jpeg: '/images/cars/a-thumb.jpg', webp: '/images/cars/a-thumb.webp' },
+            full: { width: 800, height: 533, jpeg: '/images/cars/a.jpg', webp: '/images/cars/a.webp' }
+          }
+        }]
+      }).images[0];
+
+      expect(image.toJSON().srcset).to.deep.equal({
+        jpeg: '/images/cars/a-thumb.jpg 240w, /images/cars/a.jpg 800w',
+        webp: '/images/cars/a-thumb.webp 240w, /images/cars/a.webp 800w'
+      });
+      expect(image.fileUrls()).to.have.members([
+        '/images/cars/a.jpg',
+        '/images/cars/a-thumb.jpg',
+        '/images/cars/a-thumb.webp',
+        '/images/cars/a.webp'
+      ]);
+    });
+  });
+
   describe('JSON Transformation', () => {
     it('should transform JSON output correctly', async () => {
       const car = await Car.create({
@@ -0,0 +1,142 @@
+// test/unit/models/damageReportModel.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { faker } = require('@faker-js/faker');
+const DamageReport = require('../../../models/DamageReport');
+const User = require('../../../models/User');
+const State = require('../../../models/State');
+const City = require('../../../models/City');
+const Location = require('../../../models/Location');
+const Car = require('../../../models/Car');
+const Reservation = require('../../../models/Reservation');
+
+const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('DamageReport Model', () => {
+  let testUser, testState, testCity, testLocation, testCar;
+  const booking = () => ({
+    carId: testCar._id,
+    userId: testUser._id,
+    startDate: new Date(Date.now() + DAY_MS),
+    endDate: new Date(Date.now() + 2 * DAY_MS)
+  });
+
+  before(async () => {
+    await mongoose.connect(TEST_DB_URI);
+    await mongoose.connection.db.dropDatabase();
+    testUser = await User.create({
+      name: 'Test User',
+      email: faker.internet.email(),
+      password: faker.internet.password()
+    });
+    testState = await State.create({ name: 'California' });
+    testCity = await City.create({ name: 'Test City', stateId: testState._id });
+    testLocation = await Location.create({
+      name: 'Test Location',
+      address: '123 Main St',
+      cityId: testCity._id,
+      userId: testUser._id,
+      phone_number: '+1234567890'
+    });
+    testCar = await Car.create({
+      locationId: testLocation._id,
+      brand: 'Toyota',
+      model: 'Camry',
+      year: 2024,
+      priceByDay: 100,
+      registrationNumber: 'DMG123'
+    });
+  });
+
+  afterEach(async () => {
+    await Reservation.deleteMany({});
+    await DamageReport.deleteMany({});
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await State.deleteMany({});
+    await mongoose.disconnect();
+  });
+
+  it('should default to open and require severity and area', async () => {
+    const report = new DamageReport({ carId: testCar._id });
+
+    try {
+      await report.save();
+      expect.fail('Should have thrown validation error');
+    } catch (err) {
+      expect(err.errors.severity).to.exist;
+      expect(err.errors.area).to.exist;
+    }
+    expect(report.status).to.equal('open');
+  });
+
+  it('should reject a reservation for another car', async () => {
+    const otherCar = await Car.create({
+      locationId: testLocation._id,
+      brand: 'Honda',
+      model: 'Civic',
+      year: 2024,
+      priceByDay: 80,
+      registrationNumber: 'DMG456'
+    });
+    const reservation = await Reservation.create({ ...booking(), carId: otherCar._id });
+
+    try {
+      await DamageReport.create({
+        carId: testCar._id,
+        reservationId: reservation._id,
+        severity: 'minor',
+        area: 'front'
+      });
+      expect.fail('Should have thrown validation error');
+    } catch (err) {
+      expect(err.errors.reservationId.message).to.equal('Reservation does not belong to this car');
+    } finally {
+      await Car.collection.deleteOne({ _id: otherCar._id });
+    }
+  });
+
+  it('should block new reservations while severe damage is unresolved', async () => {
+    const report = await DamageReport.create({
+      carId: testCar._id,
+      severity: 'severe',
+      area: 'windshield',
+      estimatedCost: 800
+    });
+
+    try {
+      await Reservation.create(booking());
+      expect.fail('Should have thrown availability error');
+    } catch (err) {
+      expect(err.name).to.equal('AvailabilityError');
+      expect(err.message).to.equal('Car has unresolved severe damage');
+    }
+
+    report.status = 'resolved';
+    await report.save();
+    expect(report.resolvedAt).to.be.an.instanceOf(Date);
+
+    const reservation = await Reservation.create(booking());
+    expect(reservation.status).to.equal('pending');
+  });
+
+  it('should not block reservations for minor damage', async () => {
+    await DamageReport.create({
+      carId: testCar._id,
+      severity: 'minor',
+      area: 'left_side'
+    });
+
+    const reservation = await Reservation.create(booking());
+    expect(reservation.status).to.equal('pending');
+  });
+
+  it('should not allow status changes once resolved', () => {
+    const report = new DamageReport({ status: 'resolved' });
+    expect(report.allowedTransitions()).to.deep.equal([]);
+    expect(new DamageReport().allowedTransitions()).to.deep.equal(['in_repair', 'resolved']);
+  });
+});
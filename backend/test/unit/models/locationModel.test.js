@@ -280,4 +280,140 @@ describe('Location Model Integration Tests', () => {
       expect(jsonLocation.__v).to.be.undefined;
     });
   });
+
+  describe('Geospatial', () => {
+    const locationAt = (name, lat, lng) => Location.create({
+      name,
+      address: `${name} Street`,
+      phone_number: '+15551234567',
+      cityId: testCity._id,
+      userId: testUser._id,
+      geo: { type: 'Point', coordinates: [lng, lat] }
+    });
+
+    before(async () => {
+      await Location.init();
+    });
+
+    it('should reject coordinates out of range', async () => {
+      const location = new Location({
+        name: 'Off The Map',
+        address: '1 Nowhere',
+        phone_number: '+15551234567',
+        cityId: testCity._id,
+        userId: testUser._id,
+        geo: { type: 'Point', coordinates: [200, 95] }
+      });
+
+      const err = location.validateSync();
+      expect(err.errors['geo.coordinates']).to.exist;
+    });
+
+    it('should find nearby locations nearest first within the radius', async () => {
+      // Around San Francisco; Los Angeles is ~550 km away
+      await locationAt('Union Square', 37.788, -122.4075);
+      await locationAt('Oakland', 37.8044, -122.2712);
+      await locationAt('Los Angeles', 34.0522, -118.2437);
+
+      const results = await Location.findNearby({ lat: 37.7749, lng: -122.4194, radiusKm: 50 });
+
+      expect(results.map(l => l.name)).to.deep.equal(['Union Square', 'Oakland']);
+      expect(results[0].distance).to.be.below(results[1].distance);
+    });
+
+    it('should skip soft-deleted locations and honour the limit', async () => {
+      await locationAt('Union Square', 37.788, -122.4075);
+      await locationAt('Oakland', 37.8044, -122.2712);
+      const closed = await locationAt('Mission', 37.7599, -122.4148);
+      closed.deleted = new Date();
+      await closed.save();
+
+      const results = await Location.findNearby({
+        lat: 37.7749, lng: -122.4194, radiusKm: 50, limit: 1
+      });
+
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].name).to.equal('Union Square');
+    });
+  });
+
+  describe('Opening Hours', () => {
+    const locationData = () => ({
+      name: 'Hours Test',
+      address: '950 Clock St',
+      phone_number: '+15551234567',
+      cityId: testCity._id,
+      userId: testUser._id
+    });
+
+    it('should default to always open in UTC', async () => {
+      const location = await Location.create(locationData());
+
+      expect(location.timezone).to.equal('UTC');
+      expect(location.afterHoursKeyDrop).to.be.false;
+      expect(location.toJSON().isOpenNow).to.be.true;
+    });
+
+    it('should reject invalid time zones and hours', () => {
+      const location = new Location({
+        ...locationData(),
+        timezone: 'Mars/Olympus_Mons',
+        openingHours: [{ day: 7, open: '9am', close: '17:00' }],
+        hoursExceptions: [{ date: '2030-06-10', open: '12:00', close: '10:00' }]
+      });
+
+      const err = location.validateSync();
+      expect(err.errors.timezone).to.exist;
+      expect(err.errors['openingHours.0.day']).to.exist;
+      expect(err.errors['openingHours.0.open']).to.exist;
+      expect(err.errors['hoursExceptions.0.close'].message)
+        .to.equal('Closing time must be after opening time');
+    });
+
+    it('should report isOpenNow from the schedule', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const location = await Location.create({
+        ...locationData(),
+        hoursExceptions: [{ date: today, closed: true }]
+      });
+
+      expect(location.toJSON().isOpenNow).to.be.false;
+    });
+  });
+
+  describe('Cancellation Policy', () => {
+    const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    it('should apply the default refund tiers', async () => {
+      const location = await Location.create({
+        name: 'Policy Test',
+        address: '900 Refund Rd',
+        phone_number: '+15551234567',
+        cityId: testCity._id,
+        userId: testUser._id
+      });
+
+      expect(location.refundPercentFor(hoursFromNow(72))).to.equal(100);
+      expect(location.refundPercentFor(hoursFromNow(12))).to.equal(50);
+      expect(location.refundPercentFor(hoursFromNow(-1))).to.equal(0);
+    });
+
+    it('should use a custom policy', async () => {
+      const location = await Location.create({
+        name: 'Custom Policy',
+        address: '901 Refund Rd',
+        phone_number: '+15551234567',
+        cityId: testCity._id,
+        userId: testUser._id,
+        cancellationPolicy: [
+          { hoursBeforeStart: 24, refundPercent: 80 },
+          { hoursBeforeStart: 168, refundPercent: 100 }
+        ]
+      });
+
+      expect(location.refundPercentFor(hoursFromNow(200))).to.equal(100);
+      expect(location.refundPercentFor(hoursFromNow(30))).to.equal(80);
+      expect(location.refundPercentFor(hoursFromNow(5))).to.equal(0);
+    });
+  });
 });
@@ -0,0 +1,139 @@
+// test/unit/models/maintenanceModel.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { faker } = require('@faker-js/faker');
+const Maintenance = require('../../../models/Maintenance');
+const User = require('../../../models/User');
+const State = require('../../../models/State');
+const City = require('../../../models/City');
+const Location = require('../../../models/Location');
+const Car = require('../../../models/Car');
+const Reservation = require('../../../models/Reservation');
+const { getUnavailableCarIds } = require('../../../utils/availability');
+
+const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Maintenance Model', () => {
+  let testUser, testState, testCity, testLocation, testCar;
+  const start = new Date(Date.now() + 2 * DAY_MS);
+
+  before(async () => {
+    await mongoose.connect(TEST_DB_URI);
+    await mongoose.connection.db.dropDatabase();
+    testUser = await User.create({
+      name: 'Test User',
+      email: faker.internet.email(),
+      password: faker.internet.password()
+    });
+    testState = await State.create({ name: 'California' });
+    testCity = await City.create({ name: 'Test City', stateId: testState._id });
+    testLocation = await Location.create({
+      name: 'Test Location',
+      address: '123 Main St',
+      cityId: testCity._id,
+      userId: testUser._id,
+      phone_number: '+1234567890'
+    });
+    testCar = await Car.create({
+      locationId: testLocation._id,
+      brand: 'Toyota',
+      model: 'Camry',
+      year: 2024,
+      priceByDay: 100,
+      registrationNumber: 'MNT123',
+      mileage: 20000
+    });
+  });
+
+  afterEach(async () => {
+    await Reservation.deleteMany({});
+    await Maintenance.deleteMany({});
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await State.deleteMany({});
+    await mongoose.disconnect();
+  });
+
+  it('should require end date after start date', async () => {
+    const maintenance = new Maintenance({
+      carId: testCar._id,
+      type: 'repair',
+      startDate: start,
+      endDate: start
+    });
+
+    try {
+      await maintenance.save();
+      expect.fail('Should have thrown validation error');
+    } catch (err) {
+      expect(err.errors.endDate.message).to.equal('End date must be after start date');
+    }
+  });
+
+  it('should block reservations during scheduled maintenance', async () => {
+    await Maintenance.create({
+      carId: testCar._id,
+      type: 'repair',
+      startDate: start,
+      endDate: new Date(start.getTime() + 2 * DAY_MS)
+    });
+
+    try {
+      await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: new Date(start.getTime() + DAY_MS),
+        endDate: new Date(start.getTime() + 4 * DAY_MS)
+      });
+      expect.fail('Should have thrown availability error');
+    } catch (err) {
+      expect(err.name).to.equal('AvailabilityError');
+      expect(err.message).to.equal('Car is scheduled for maintenance during these dates');
+    }
+
+    const unavailable = await getUnavailableCarIds(
+      [testCar._id],
+      start,
+      new Date(start.getTime() + DAY_MS)
+    );
+    expect(unavailable.has(testCar.id)).to.be.true;
+  });
+
+  it('should not block reservations once cancelled', async () => {
+    await Maintenance.create({
+      carId: testCar._id,
+      type: 'repair',
+      startDate: start,
+      endDate: new Date(start.getTime() + 2 * DAY_MS),
+      status: 'cancelled'
+    });
+
+    const reservation = await Reservation.create({
+      carId: testCar._id,
+      userId: testUser._id,
+      startDate: start,
+      endDate: new Date(start.getTime() + DAY_MS)
+    });
+    expect(reservation.status).to.equal('pending');
+  });
+
+  it('should reset the service reminder when a service is completed', async () => {
+    const maintenance = await Maintenance.create({
+      carId: testCar._id,
+      type: 'service',
+      startDate: start,
+      endDate: new Date(start.getTime() + DAY_MS)
+    });
+
+    maintenance.status = 'completed';
+    await maintenance.save();
+
+    const car = await Car.findById(testCar._id);
+    expect(maintenance.mileageAtService).to.equal(20000);
+    expect(car.lastServiceMileage).to.equal(20000);
+    expect(car.kmUntilService).to.equal(15000);
+  });
+});
@@ -0,0 +1,136 @@
+// test/unit/models/promoCodeModel.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const PromoCode = require('../../../models/PromoCode');
+
+const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
+
+describe('PromoCode Model Integration Tests', () => {
+  const car = {
+    locationId: new mongoose.Types.ObjectId(),
+    brand: 'Toyota',
+    fuelType: 'hybrid'
+  };
+
+  before(async () => {
+    await mongoose.connect(TEST_DB_URI);
+    await mongoose.connection.db.dropDatabase();
+  });
+
+  afterEach(async () => {
+    await PromoCode.deleteMany({});
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+  });
+
+  describe('Schema Validation', () => {
+    it('should store codes in uppercase', async () => {
+      const promo = await PromoCode.create({
+        code: 'summer10',
+        discountType: 'percentage',
+        amount: 10
+      });
+
+      expect(promo.code).to.equal('SUMMER10');
+      expect(promo.maxUsesPerUser).to.equal(1);
+    });
+
+    it('should reject percentages above 100', async () => {
+      let error;
+      try {
+        await PromoCode.create({ code: 'TOOMUCH', discountType: 'percentage', amount: 120 });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(mongoose.Error.ValidationError);
+      expect(error.errors.amount).to.exist;
+    });
+  });
+
+  describe('Eligibility', () => {
+    it('should reject expired codes', async () => {
+      const promo = await PromoCode.create({
+        code: 'EXPIRED',
+        discountType: 'fixed',
+        amount: 20,
+        validUntil: new Date(Date.now() - 86400000)
+      });
+
+      expect(promo.checkEligibility(car)).to.include('expired');
+    });
+
+    it('should enforce location, brand and fuel type restrictions', async () => {
+      const promo = await PromoCode.create({
+        code: 'RESTRICTED',
+        discountType: 'fixed',
+        amount: 20,
+        restrictions: { brands: ['toyota'], fuelTypes: ['electric'] }
+      });
+
+      expect(promo.checkEligibility(car)).to.include('fuel type');
+      expect(promo.checkEligibility({ ...car, fuelType: 'electric' })).to.be.null;
+
+      promo.restrictions.locationIds = [new mongoose.Types.ObjectId()];
+      expect(promo.checkEligibility({ ...car, fuelType: 'electric' })).to.include('location');
+    });
+
+    it('should check only car restrictions for a booking that already redeemed the code', () => {
+      const promo = new PromoCode({
+        code: 'FULLEV',
+        discountType: 'fixed',
+        amount: 20,
+        maxUses: 1,
+        usedCount: 1,
+        restrictions: { fuelTypes: ['electric'] }
+      });
+
+      expect(promo.checkEligibility({ ...car, fuelType: 'electric' })).to.include('usage limit');
+      expect(promo.checkCarRestrictions({ ...car, fuelType: 'electric' })).to.be.null;
+      expect(promo.checkCarRestrictions(car)).to.include('fuel type');
+    });
+  });
+
+  describe('Redemption', () => {
+    it('should enforce the per-user limit', async () => {
+      const promo = await PromoCode.create({ code: 'ONCE', discountType: 'fixed', amount: 5 });
+      const userId = new mongoose.Types.ObjectId();
+
+      const first = await PromoCode.redeem(promo, userId, new mongoose.Types.ObjectId());
+      const second = await PromoCode.redeem(promo, userId, new mongoose.Types.ObjectId());
+
+      expect(first.usedCount).to.equal(1);
+      expect(second).to.be.null;
+    });
+
+    it('should enforce the total limit under concurrency', async () => {
+      const promo = await PromoCode.create({
+        code: 'FIRST3',
+        discountType: 'fixed',
+        amount: 5,
+        maxUses: 3
+      });
+
+      const results = await Promise.all(Array.from({ length: 6 }, () =>
+        PromoCode.redeem(promo, new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId())
+      ));
+
+      expect(results.filter(Boolean)).to.have.lengthOf(3);
+      expect((await PromoCode.findById(promo._id)).usedCount).to.equal(3);
+    });
+
+    it('should release a redemption', async () => {
+      const promo = await PromoCode.create({ code: 'UNDO', discountType: 'fixed', amount: 5 });
+      const reservationId = new mongoose.Types.ObjectId();
+
+      await PromoCode.redeem(promo, new mongoose.Types.ObjectId(), reservationId);
+      await PromoCode.releaseRedemption(promo._id, reservationId);
+
+      const updated = await PromoCode.findById(promo._id).select('+redemptions');
+      expect(updated.usedCount).to.equal(0);
+      expect(updated.redemptions).to.be.empty;
+    });
+  });
+});
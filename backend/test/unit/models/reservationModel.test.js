@@ -8,6 +8,8 @@ const City = require('../../../models/City');
 const Location = require('../../../models/Location');
 const Car = require('../../../models/Car');
 const Reservation = require('../../../models/Reservation');
+const Extra = require('../../../models/Extra');
+const OneWayFee = require('../../../models/OneWayFee');
 
 const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
 
@@ -174,6 +176,289 @@ describe('Reservation Model Integration Tests', () => {
       expect(error).to.exist;
       expect(error.message).to.include('already reserved');
     });
+
+    it('should ignore cancelled reservations when checking overlap', async () => {
+      const start = new Date(Date.now() + 86400000);
+      const end = new Date(start.getTime() + 86400000);
+
+      const cancelled = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: start,
+        endDate: end
+      });
+      cancelled.transitionTo('cancelled', testUser._id);
+      await cancelled.save();
+
+      const reservation = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: start,
+        endDate: end
+      });
+
+      expect(reservation.status).to.equal('pending');
+    });
+
+    it('should keep the location turnaround buffer free', async () => {
+      await Location.updateOne({ _id: testLocation._id }, { turnaroundHours: 6 });
+      const start = new Date(Date.now() + 86400000);
+      const end = new Date(start.getTime() + 86400000);
+
+      await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: start,
+        endDate: end
+      });
+
+      let error;
+      try {
+        await Reservation.create({
+          carId: testCar._id,
+          userId: testUser._id,
+          startDate: new Date(end.getTime() + 2 * 60 * 60 * 1000),
+          endDate: new Date(end.getTime() + 86400000)
+        });
+      } catch (err) {
+        error = err;
+      } finally {
+        await Location.updateOne({ _id: testLocation._id }, { turnaroundHours: 0 });
+      }
+
+      expect(error).to.exist;
+      expect(error.message).to.include('already reserved');
+    });
+
+    it('should accept exactly one of several concurrent bookings', async () => {
+      const start = new Date(Date.now() + 86400000);
+      const end = new Date(start.getTime() + 2 * 86400000);
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 5 }, () => Reservation.create({
+          carId: testCar._id,
+          userId: testUser._id,
+          startDate: start,
+          endDate: end
+        }))
+      );
+
+      const succeeded = results.filter(r => r.status === 'fulfilled');
+      const failed = results.filter(r => r.status === 'rejected');
+      expect(succeeded).to.have.lengthOf(1);
+      failed.forEach(r => expect(r.reason.message).to.include('already reserved'));
+      expect(await Reservation.countDocuments({ carId: testCar._id })).to.equal(1);
+    });
+
+    it('should not conflict with itself when dates change', async () => {
+      const start = new Date(Date.now() + 86400000);
+      const reservation = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: start,
+        endDate: new Date(start.getTime() + 86400000)
+      });
+
+      reservation.endDate = new Date(start.getTime() + 2 * 86400000);
+      await reservation.save();
+
+      expect(reservation.totalPrice).to.equal(2 * testCar.priceByDay);
+    });
+  });
+
+  describe('Extras', () => {
+    let childSeat, secondCar;
+
+    before(async () => {
+      childSeat = await Extra.create({
+        locationId: testLocation._id,
+        name: 'Child seat',
+        category: 'child_seat',
+        pricingType: 'per_day',
+        price: 10,
+        stock: 1
+      });
+      secondCar = await Car.create({
+        locationId: testLocation._id,
+        brand: 'Honda',
+        model: 'Civic',
+        year: 2024,
+        priceByDay: 80,
+        registrationNumber: 'XYZ789'
+      });
+    });
+
+    after(async () => {
+      await Extra.deleteMany({});
+      await Car.deleteOne({ _id: secondCar._id });
+    });
+
+    const bookedSeat = () => ({
+      extraId: childSeat._id,
+      name: childSeat.name,
+      pricingType: childSeat.pricingType,
+      unitPrice: childSeat.price,
+      quantity: 1
+    });
+
+    it('should include extras in the total price', async () => {
+      const start = new Date(Date.now() + 86400000);
+      const reservation = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: start,
+        endDate: new Date(start.getTime() + 2 * 86400000),
+        extras: [bookedSeat()]
+      });
+
+      expect(reservation.extras[0].total).to.equal(20);
+      expect(reservation.totalPrice).to.equal(2 * testCar.priceByDay + 20);
+    });
+
+    it('should reject extras that are out of stock for the dates', async () => {
+      const start = new Date(Date.now() + 86400000);
+      const end = new Date(start.getTime() + 2 * 86400000);
+
+      await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: start,
+        endDate: end,
+        extras: [bookedSeat()]
+      });
+
+      let error;
+      try {
+        await Reservation.create({
+          carId: secondCar._id,
+          userId: testUser._id,
+          startDate: start,
+          endDate: end,
+          extras: [bookedSeat()]
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.exist;
+      expect(error.message).to.include('Not enough stock');
+    });
+  });
+
+  describe('One-way Rentals', () => {
+    let otherLocation;
+
+    before(async () => {
+      otherLocation = await Location.create({
+        name: 'Airport',
+        address: '1 Terminal Rd',
+        cityId: testCity._id,
+        userId: testUser._id,
+        phone_number: '+1234567891'
+      });
+      await OneWayFee.create({
+        fromLocationId: testLocation._id,
+        toLocationId: otherLocation._id,
+        fee: 40
+      });
+    });
+
+    after(async () => {
+      await OneWayFee.deleteMany({});
+      await Location.collection.deleteOne({ _id: otherLocation._id });
+      await Car.updateOne({ _id: testCar._id }, { locationId: testLocation._id });
+    });
+
+    it('should default pickup and drop-off to the car location', async () => {
+      const reservation = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: new Date(Date.now() + 86400000),
+        endDate: new Date(Date.now() + 2 * 86400000)
+      });
+
+      expect(reservation.pickupLocationId.toString()).to.equal(testLocation._id.toString());
+      expect(reservation.dropoffLocationId.toString()).to.equal(testLocation._id.toString());
+      expect(reservation.oneWayFee).to.be.undefined;
+    });
+
+    it('should add the one-way fee to the total price', async () => {
+      const start = new Date(Date.now() + 86400000);
+      const reservation = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: start,
+        endDate: new Date(start.getTime() + 86400000),
+        dropoffLocationId: otherLocation._id
+      });
+
+      expect(reservation.oneWayFee).to.equal(40);
+      expect(reservation.totalPrice).to.equal(testCar.priceByDay + 40);
+    });
+
+    it('should reject routes without a configured fee', async () => {
+      let error;
+      try {
+        await Reservation.create({
+          carId: testCar._id,
+          userId: testUser._id,
+          startDate: new Date(Date.now() + 86400000),
+          endDate: new Date(Date.now() + 2 * 86400000),
+          pickupLocationId: otherLocation._id,
+          dropoffLocationId: testLocation._id
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.exist;
+    });
+
+    it('should expect the car at the previous drop-off location', async () => {
+      const start = new Date(Date.now() + 86400000);
+      const end = new Date(start.getTime() + 86400000);
+      await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: start,
+        endDate: end,
+        dropoffLocationId: otherLocation._id
+      });
+
+      const next = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: new Date(end.getTime() + 86400000),
+        endDate: new Date(end.getTime() + 2 * 86400000)
+      });
+
+      expect(next.pickupLocationId.toString()).to.equal(otherLocation._id.toString());
+    });
+
+    it('should move the car to the drop-off location on completion', async () => {
+      const start = new Date(Date.now() + 86400000);
+      const reservation = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: start,
+        endDate: new Date(start.getTime() + 86400000),
+        dropoffLocationId: otherLocation._id
+      });
+      // Pretend the rental has started
+      await Reservation.updateOne(
+        { _id: reservation._id },
+        { startDate: new Date(Date.now() - 60000) }
+      );
+
+      const started = await Reservation.findById(reservation._id);
+      started.transitionTo('confirmed', testUser._id);
+      started.transitionTo('active', testUser._id);
+      started.transitionTo('completed', testUser._id);
+      await started.save();
+
+      const car = await Car.findById(testCar._id);
+      expect(car.locationId.toString()).to.equal(otherLocation._id.toString());
+    });
   });
 
   describe('Reference Validation', () => {
@@ -266,4 +551,223 @@ describe('Reservation Model Integration Tests', () => {
       expect(error.errors.status.message).to.include('enum');
     });
   });
+
+  describe('Status Transitions', () => {
+    let reservation;
+
+    beforeEach(async () => {
+      reservation = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: new Date(Date.now() + 86400000),
+        endDate: new Date(Date.now() + 2 * 86400000)
+      });
+    });
+
+    it('should record allowed transitions in status history', async () => {
+      reservation.transitionTo('confirmed', testUser._id);
+      await reservation.save();
+
+      const saved = await Reservation.findById(reservation._id);
+      expect(saved.status).to.equal('confirmed');
+      expect(saved.statusHistory).to.have.lengthOf(1);
+      expect(saved.statusHistory[0].from).to.equal('pending');
+      expect(saved.statusHistory[0].to).to.equal('confirmed');
+      expect(saved.statusHistory[0].changedBy.toString()).to.equal(testUser._id.toString());
+      expect(saved.statusHistory[0].changedAt).to.be.an.instanceOf(Date);
+    });
+
+    it('should reject transitions out of a terminal status', async () => {
+      reservation.transitionTo('cancelled', testUser._id);
+      await reservation.save();
+
+      let error;
+      try {
+        reservation.transitionTo('confirmed', testUser._id);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.name).to.equal('InvalidTransitionError');
+      expect(error.allowed).to.deep.equal([]);
+    });
+
+    it('should not allow pickup before the start date', async () => {
+      reservation.transitionTo('confirmed', testUser._id);
+
+      let error;
+      try {
+        reservation.transitionTo('active', testUser._id);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.name).to.equal('InvalidTransitionError');
+      expect(error.allowed).to.include('active');
+      expect(reservation.status).to.equal('confirmed');
+    });
+  });
+
+  describe('Inspections', () => {
+    let reservation;
+
+    beforeEach(async () => {
+      await Location.updateOne(
+        { _id: testLocation._id },
+        { pricing: { dailyMileageAllowance: 100, excessMileageRate: 0.5, refuelChargePerEighth: 10 } }
+      );
+      const created = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: new Date(Date.now() + 86400000),
+        endDate: new Date(Date.now() + 2 * 86400000)
+      });
+      // Pretend the rental has started
+      await Reservation.updateOne(
+        { _id: created._id },
+        { startDate: new Date(Date.now() - 60000), status: 'confirmed' }
+      );
+      reservation = await Reservation.findById(created._id);
+    });
+
+    after(async () => {
+      await Location.updateOne({ _id: testLocation._id }, { pricing: {} });
+      await Car.updateOne({ _id: testCar._id }, { $unset: { mileage: 1 } });
+    });
+
+    it('should start the rental on pickup', async () => {
+      reservation.recordPickup({ odometer: 5000, fuelLevel: 8 }, testUser._id);
+      await reservation.save();
+
+      const saved = await Reservation.findById(reservation._id);
+      expect(saved.status).to.equal('active');
+      expect(saved.pickupInspection.odometer).to.equal(5000);
+      expect(saved.pickupInspection.inspectedBy.toString()).to.equal(testUser._id.toString());
+    });
+
+    it('should charge excess mileage and fuel on return and update the car', async () => {
+      reservation.recordPickup({ odometer: 5000, fuelLevel: 8 }, testUser._id);
+      await reservation.save();
+
+      await reservation.recordReturn(
+        { odometer: 5300, fuelLevel: 6, damageNotes: 'Scratch on rear bumper' },
+        testUser._id
+      );
+      await reservation.save();
+
+      expect(reservation.status).to.equal('completed');
+      expect(reservation.returnCharges.distance).to.equal(300);
+      expect(reservation.returnCharges.total).to.equal(120);
+
+      const car = await Car.findById(testCar._id);
+      expect(car.mileage).to.equal(5300);
+    });
+
+    it('should reject a return odometer below the pickup reading', async () => {
+      reservation.recordPickup({ odometer: 5000, fuelLevel: 8 }, testUser._id);
+      await reservation.save();
+
+      await reservation.recordReturn({ odometer: 4000, fuelLevel: 8 }, testUser._id);
+      try {
+        await reservation.save();
+        expect.fail('Should have thrown validation error');
+      } catch (err) {
+        expect(err.errors.returnInspection.message)
+          .to.equal('Return odometer cannot be lower than at pickup');
+      }
+    });
+  });
+
+  describe('Opening Hours', () => {
+    // Next Monday at the given UTC hour
+    const nextMonday = hour => {
+      const date = new Date();
+      date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7 || 7));
+      date.setUTCHours(hour, 0, 0, 0);
+      return date;
+    };
+
+    beforeEach(async () => {
+      await Location.updateOne({ _id: testLocation._id }, {
+        timezone: 'UTC',
+        openingHours: [{ day: 1, open: '08:00', close: '18:00' }],
+        afterHoursKeyDrop: false
+      });
+    });
+
+    after(async () => {
+      await Location.updateOne(
+        { _id: testLocation._id },
+        { openingHours: [], hoursExceptions: [], afterHoursKeyDrop: false }
+      );
+    });
+
+    it('should accept pickup and return within opening hours', async () => {
+      const reservation = await Reservation.create({
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: nextMonday(9),
+        endDate: nextMonday(17)
+      });
+
+      expect(reservation.status).to.equal('pending');
+    });
+
+    it('should reject a pickup outside opening hours', async () => {
+      try {
+        await Reservation.create({
+          carId: testCar._id,
+          userId: testUser._id,
+          startDate: nextMonday(3),
+          endDate: nextMonday(17)
+        });
+        expect.fail('Should have thrown validation error');
+      } catch (err) {
+        expect(err.errors.startDate.message)
+          .to.equal('Pickup location is closed at the requested pickup time');
+      }
+    });
+
+    it('should reject pickups on a closure date', async () => {
+      const monday = nextMonday(9);
+      await Location.updateOne({ _id: testLocation._id }, {
+        hoursExceptions: [{ date: monday.toISOString().slice(0, 10), closed: true }]
+      });
+
+      try {
+        await Reservation.create({
+          carId: testCar._id,
+          userId: testUser._id,
+          startDate: monday,
+          endDate: nextMonday(17)
+        });
+        expect.fail('Should have thrown validation error');
+      } catch (err) {
+        expect(err.errors.startDate).to.exist;
+      } finally {
+        await Location.updateOne({ _id: testLocation._id }, { hoursExceptions: [] });
+      }
+    });
+
+    it('should allow after-hours returns only with a key drop', async () => {
+      const booking = {
+        carId: testCar._id,
+        userId: testUser._id,
+        startDate: nextMonday(9),
+        endDate: nextMonday(22)
+      };
+
+      try {
+        await Reservation.create(booking);
+        expect.fail('Should have thrown validation error');
+      } catch (err) {
+        expect(err.errors.endDate.message)
+          .to.equal('Drop-off location is closed at the requested return time');
+      }
+
+      await Location.updateOne({ _id: testLocation._id }, { afterHoursKeyDrop: true });
+      const reservation = await Reservation.create(booking);
+      expect(reservation.endDate.getTime()).to.equal(booking.endDate.getTime());
+    });
+  });
 });
@@ -0,0 +1,131 @@
+// test/unit/models/sessionModel.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { faker } = require('@faker-js/faker');
+const User = require('../../../models/User');
+const Session = require('../../../models/Session');
+
+const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
+const CHROME_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+  '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('Session Model Integration Tests', () => {
+  let testUser;
+
+  before(async () => {
+    await mongoose.connect(TEST_DB_URI);
+    await mongoose.connection.db.dropDatabase();
+    testUser = await User.create({
+      name: 'Session User',
+      email: faker.internet.email(),
+      password: 'password123'
+    });
+  });
+
+  afterEach(async () => {
+    await Session.deleteMany({});
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await mongoose.disconnect();
+  });
+
+  const startSession = async (tokenHash = 'a'.repeat(64)) => {
+    const session = Session.start(testUser._id, { userAgent: CHROME_ON_WINDOWS, ip: '10.0.0.1' });
+    session.tokenHash = tokenHash;
+    return session.save();
+  };
+
+  describe('Starting Sessions', () => {
+    it('should record the device, IP and expiry', async () => {
+      const session = await startSession();
+
+      expect(session.device).to.equal('Chrome on Windows');
+      expect(session.ip).to.equal('10.0.0.1');
+      expect(session.expiresAt.getTime()).to.be.above(Date.now() + 6 * 24 * 60 * 60 * 1000);
+      expect(session.active).to.be.true;
+    });
+
+    it('should require a token hash', async () => {
+      const session = Session.start(testUser._id);
+      const err = session.validateSync();
+      expect(err.errors.tokenHash).to.exist;
+    });
+
+    it('should not expose the token hash', async () => {
+      const session = await startSession();
+
+      const found = await Session.findById(session._id);
+      expect(found.tokenHash).to.be.undefined;
+      expect(session.toJSON().tokenHash).to.be.undefined;
+    });
+  });
+
+  describe('Rotation', () => {
+    it('should swap in the next token hash', async () => {
+      const session = await startSession('a'.repeat(64));
+
+      const rotated = await Session.rotate(session._id, 'a'.repeat(64), 'b'.repeat(64));
+      const stored = await Session.findById(session._id).select('+tokenHash');
+
+      expect(rotated).to.exist;
+      expect(stored.tokenHash).to.equal('b'.repeat(64));
+      expect(stored.lastUsedAt.getTime()).to.be.at.least(session.lastUsedAt.getTime());
+    });
+
+    it('should refuse to rotate from a stale token', async () => {
+      const session = await startSession('a'.repeat(64));
+      await Session.rotate(session._id, 'a'.repeat(64), 'b'.repeat(64));
+
+      const again = await Session.rotate(session._id, 'a'.repeat(64), 'c'.repeat(64));
+      expect(again).to.be.null;
+    });
+
+    it('should refuse to rotate a revoked session', async () => {
+      const session = await startSession('a'.repeat(64));
+      await Session.revoke({ _id: session._id }, 'reuse');
+
+      const rotated = await Session.rotate(session._id, 'a'.repeat(64), 'b'.repeat(64));
+      expect(rotated).to.be.null;
+    });
+  });
+
+  describe('Revocation', () => {
+    it('should revoke only matching active sessions', async () => {
+      const laptop = await startSession();
+      const phone = await startSession();
+
+      const { modifiedCount } = await Session.revoke({ _id: laptop._id }, 'user');
+      const [revoked, untouched] = await Promise.all([
+        Session.findById(laptop._id),
+        Session.findById(phone._id)
+      ]);
+
+      expect(modifiedCount).to.equal(1);
+      expect(revoked.active).to.be.false;
+      expect(revoked.revokedReason).to.equal('user');
+      expect(untouched.active).to.be.true;
+    });
+
+    it('should keep the first revocation reason', async () => {
+      const session = await startSession();
+      await Session.revoke({ _id: session._id }, 'reuse');
+      await Session.revoke({ userId: testUser._id }, 'password_reset');
+
+      const found = await Session.findById(session._id);
+      expect(found.revokedReason).to.equal('reuse');
+    });
+  });
+
+  describe('Device Labels', () => {
+    it('should describe common user agents', () => {
+      expect(Session.describeDevice(CHROME_ON_WINDOWS)).to.equal('Chrome on Windows');
+      expect(Session.describeDevice(
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 ' +
+        '(KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+      )).to.equal('Safari on iOS');
+      expect(Session.describeDevice('curl/8.4.0')).to.equal('Unknown device');
+    });
+  });
+});
@@ -3,6 +3,8 @@ const { faker } = require('@faker-js/faker');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const User = require('../../../models/User');
+const { generateSecret, generateTotp } = require('../../../utils/totp');
+const { hashToken } = require('../../../utils/tokens');
 
 const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
 const SALT_ROUNDS = 12;
@@ -267,6 +269,177 @@ describe('User Model Integration Tests', () => {
     });
   });
 
+  describe('Auth Fields', () => {
+    it('should hide token and lockout fields by default', async () => {
+      const user = await User.create({
+        name: 'Token Test',
+        email: faker.internet.email(),
+        password: 'password123',
+        resetPasswordToken: 'b'.repeat(64),
+        resetPasswordExpire: new Date(Date.now() + 60000)
+      });
+
+      const found = await User.findById(user._id);
+      expect(found.resetPasswordToken).to.be.undefined;
+      expect(found.loginAttempts).to.be.undefined;
+
+      const withTokens = await User.findById(user._id).select('+resetPasswordToken +loginAttempts');
+      expect(withTokens.resetPasswordToken).to.equal('b'.repeat(64));
+      expect(withTokens.loginAttempts).to.equal(0);
+    });
+
+    it('should leave tokens out of JSON output', () => {
+      const user = new User({
+        name: 'Token JSON',
+        email: faker.internet.email(),
+        password: 'password123',
+        resetPasswordToken: 'b'.repeat(64),
+        resetPasswordExpire: new Date(Date.now() + 60000)
+      });
+
+      const json = user.toJSON();
+      expect(json.resetPasswordToken).to.be.undefined;
+      expect(json.resetPasswordExpire).to.be.undefined;
+    });
+
+    it('should start unverified and hide the resend timestamp', async () => {
+      const user = await User.create({
+        name: 'Verify Test',
+        email: faker.internet.email(),
+        password: 'password123',
+        verificationSentAt: new Date()
+      });
+
+      expect(user.emailVerified).to.be.false;
+      expect(user.toJSON().emailVerified).to.be.false;
+      expect(user.toJSON().verificationSentAt).to.be.undefined;
+
+      const found = await User.findById(user._id);
+      expect(found.verificationSentAt).to.be.undefined;
+    });
+
+    it('should mark only accounts without the field as verified', async () => {
+      const legacy = await User.create({
+        name: 'Legacy User',
+        email: faker.internet.email(),
+        password: 'password123'
+      });
+      await User.collection.updateOne({ _id: legacy._id }, { $unset: { emailVerified: 1 } });
+      const fresh = await User.create({
+        name: 'New User',
+        email: faker.internet.email(),
+        password: 'password123'
+      });
+
+      expect(await User.verifyLegacyEmails()).to.equal(1);
+      expect((await User.findById(legacy._id)).emailVerified).to.be.true;
+      expect((await User.findById(fresh._id)).emailVerified).to.be.false;
+      expect(await User.verifyLegacyEmails()).to.equal(0);
+    });
+
+    it('should report isLocked while lockUntil is in the future', () => {
+      const user = new User({
+        name: 'Lock Test',
+        email: faker.internet.email(),
+        password: 'password123'
+      });
+
+      expect(user.isLocked).to.be.false;
+      user.lockUntil = new Date(Date.now() + 60000);
+      expect(user.isLocked).to.be.true;
+      user.lockUntil = new Date(Date.now() - 1000);
+      expect(user.isLocked).to.be.false;
+    });
+  });
+
+  describe('Two-Factor Authentication', () => {
+    const createWithSecret = async (fields = {}) => {
+      const user = await User.create({
+        name: '2FA Test',
+        email: faker.internet.email(),
+        password: 'password123',
+        twoFactorSecret: generateSecret(),
+        ...fields
+      });
+      return User.findById(user._id).select('+twoFactorSecret');
+    };
+
+    it('should accept a current code only once', async () => {
+      const user = await createWithSecret();
+      const code = generateTotp(user.twoFactorSecret);
+
+      expect(await user.consumeTwoFactorCode(code)).to.be.true;
+      expect(await user.consumeTwoFactorCode(code)).to.be.false;
+    });
+
+    it('should reject wrong codes', async () => {
+      const user = await createWithSecret();
+      const code = generateTotp(user.twoFactorSecret, Date.now() - 10 * 60 * 1000);
+
+      expect(await user.consumeTwoFactorCode(code)).to.be.false;
+      expect(await user.consumeTwoFactorCode('')).to.be.false;
+    });
+
+    it('should use up recovery codes', async () => {
+      const user = await createWithSecret({
+        twoFactorRecoveryCodes: [hashToken('abcde-12345'), hashToken('fghij-67890')]
+      });
+
+      expect(await user.consumeTwoFactorCode(' ABCDE-12345 ')).to.be.true;
+      expect(await user.consumeTwoFactorCode('abcde-12345')).to.be.false;
+
+      const found = await User.findById(user._id).select('+twoFactorRecoveryCodes');
+      expect(found.twoFactorRecoveryCodes).to.deep.equal([hashToken('fghij-67890')]);
+    });
+
+    it('should allow a few tries per login challenge and only one login', async () => {
+      const user = await createWithSecret();
+      await User.startTwoFactorChallenge(user._id, 'challenge-1');
+
+      const claims = await Promise.all(
+        [1, 2, 3, 4, 5].map(() => User.claimTwoFactorAttempt(user._id, 'challenge-1'))
+      );
+      expect(claims.filter(Boolean)).to.have.lengthOf(3);
+
+      await User.startTwoFactorChallenge(user._id, 'challenge-2');
+      expect(await User.claimTwoFactorAttempt(user._id, 'challenge-1')).to.be.false;
+      expect(await User.claimTwoFactorAttempt(user._id, 'challenge-2')).to.be.true;
+
+      await User.endTwoFactorChallenge(user._id);
+      expect(await User.claimTwoFactorAttempt(user._id, 'challenge-2')).to.be.false;
+    });
+
+    it('should hide secrets from queries and JSON', async () => {
+      const user = await createWithSecret({ twoFactorRecoveryCodes: [hashToken('abcde-12345')] });
+
+      const found = await User.findById(user._id);
+      expect(found.twoFactorSecret).to.be.undefined;
+      expect(user.toJSON().twoFactorSecret).to.be.undefined;
+      expect(user.toJSON().twoFactorRecoveryCodes).to.be.undefined;
+    });
+
+    it('should make flagged users and, when configured, admins enrol', () => {
+      const previous = process.env.REQUIRE_ADMIN_2FA;
+      try {
+        delete process.env.REQUIRE_ADMIN_2FA;
+        const adminUser = new User({ name: 'Admin', email: 'admin@example.com', password: 'password123', isAdmin: true });
+        const flagged = new User({ name: 'Host', email: 'host@example.com', password: 'password123', twoFactorRequired: true });
+
+        expect(adminUser.mustEnrolTwoFactor()).to.be.false;
+        expect(flagged.mustEnrolTwoFactor()).to.be.true;
+
+        process.env.REQUIRE_ADMIN_2FA = 'true';
+        expect(adminUser.mustEnrolTwoFactor()).to.be.true;
+        adminUser.twoFactorEnabled = true;
+        expect(adminUser.mustEnrolTwoFactor()).to.be.false;
+        expect(adminUser.twoFactorMandatory()).to.be.true;
+      } finally {
+        if (previous === undefined) delete process.env.REQUIRE_ADMIN_2FA;
+        else process.env.REQUIRE_ADMIN_2FA = previous;
+      }
+    });
+  });
+
   describe('Timestamps', () => {
     it('should automatically add createdAt and updatedAt', async () => {
       const user = new User({
@@ -0,0 +1,109 @@
+// test/unit/utils/calendar.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { faker } = require('@faker-js/faker');
+const { buildCalendars, summarizeOccupancy } = require('../../../utils/calendar');
+const User = require('../../../models/User');
+const State = require('../../../models/State');
+const City = require('../../../models/City');
+const Location = require('../../../models/Location');
+const Car = require('../../../models/Car');
+const Reservation = require('../../../models/Reservation');
+
+const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Availability Calendar', () => {
+  let testUser, testState, testCity, testLocation, testCar;
+  // Midnight UTC three days from now, so the reservation is in the future
+  const day0 = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS + 3 * DAY_MS);
+
+  before(async () => {
+    await mongoose.connect(TEST_DB_URI);
+    await mongoose.connection.db.dropDatabase();
+    testUser = await User.create({
+      name: 'Test User',
+      email: faker.internet.email(),
+      password: faker.internet.password()
+    });
+    testState = await State.create({ name: 'California' });
+    testCity = await City.create({ name: 'Test City', stateId: testState._id });
+    testLocation = await Location.create({
+      name: 'Test Location',
+      address: '123 Main St',
+      cityId: testCity._id,
+      userId: testUser._id,
+      phone_number: '+1234567890',
+      turnaroundHours: 12
+    });
+    testCar = await Car.create({
+      locationId: testLocation._id,
+      brand: 'Toyota',
+      model: 'Camry',
+      year: 2024,
+      priceByDay: 100,
+      registrationNumber: 'CAL123'
+    });
+  });
+
+  afterEach(async () => {
+    await Reservation.deleteMany({});
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await State.deleteMany({});
+    await mongoose.disconnect();
+  });
+
+  it('should mark booked, turnaround and free days', async () => {
+    const reservation = await Reservation.create({
+      carId: testCar._id,
+      userId: testUser._id,
+      startDate: new Date(day0.getTime() + DAY_MS + 10 * 60 * 60 * 1000),
+      endDate: new Date(day0.getTime() + 2 * DAY_MS + 18 * 60 * 60 * 1000)
+    });
+
+    const [calendar] = await buildCalendars(
+      [testCar],
+      day0,
+      new Date(day0.getTime() + 4 * DAY_MS)
+    );
+
+    expect(calendar.days.map(d => d.status)).to.deep.equal([
+      'blocked', 'booked', 'booked', 'blocked', 'free'
+    ]);
+    expect(calendar.days[1].reservationIds).to.deep.equal([reservation.id]);
+    expect(calendar.days[0].reason).to.equal('turnaround');
+  });
+
+  it('should ignore cancelled reservations', async () => {
+    const reservation = await Reservation.create({
+      carId: testCar._id,
+      userId: testUser._id,
+      startDate: new Date(day0.getTime() + 12 * 60 * 60 * 1000),
+      endDate: new Date(day0.getTime() + DAY_MS)
+    });
+    reservation.transitionTo('cancelled', testUser._id);
+    await reservation.save();
+
+    const [calendar] = await buildCalendars([testCar], day0, day0);
+
+    expect(calendar.days).to.deep.equal([
+      { date: day0.toISOString().slice(0, 10), status: 'free' }
+    ]);
+  });
+
+  it('should summarize fleet occupancy per day', () => {
+    const occupancy = summarizeOccupancy([
+      { days: [{ date: '2030-01-01', status: 'booked' }] },
+      { days: [{ date: '2030-01-01', status: 'free' }] },
+      { days: [{ date: '2030-01-01', status: 'blocked' }] },
+      { days: [{ date: '2030-01-01', status: 'booked' }] }
+    ]);
+
+    expect(occupancy).to.deep.equal([
+      { date: '2030-01-01', booked: 2, blocked: 1, free: 1, occupancyRate: 0.5 }
+    ]);
+  });
+});
@@ -10,10 +10,12 @@ const State = require('../../../models/State');
 const City = require('../../../models/City');
 const Location = require('../../../models/Location');
 const Car = require('../../../models/Car');
+const CleanupReport = require('../../../models/CleanupReport');
 
 // Test configuration
 const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
-const TEST_UPLOAD_DIR = path.join(__dirname, '../../../test-uploads/cars');
+const TEST_STORAGE_ROOT = path.join(__dirname, '../../../test-uploads');
+const TEST_UPLOAD_DIR = path.join(TEST_STORAGE_ROOT, 'cars');
 
 describe('Image Cleanup Utility', () => {
   let testUser, testState, testCity, testLocation;
@@ -25,12 +27,12 @@ describe('Image Cleanup Utility', () => {
   before(async () => {
     // Setup test database and override upload directory
     await mongoose.connect(TEST_DB_URI);
-    process.env.UPLOAD_DIR = TEST_UPLOAD_DIR; // Override for testing
+    process.env.STORAGE_ROOT = TEST_STORAGE_ROOT; // Override for testing
     
     // Ensure clean state
     await mongoose.connection.db.dropDatabase();
-    if (fs.existsSync(TEST_UPLOAD_DIR)) {
-      fs.rmdirSync(TEST_UPLOAD_DIR, { recursive: true });
+    if (fs.existsSync(TEST_STORAGE_ROOT)) {
+      fs.rmSync(TEST_STORAGE_ROOT, { recursive: true });
     }
     testUser = await User.create(userData);
     testState = await State.create({ name: 'California' });
@@ -58,8 +60,9 @@ describe('Image Cleanup Utility', () => {
     await State.deleteMany({});
     // Cleanup test environment
     await mongoose.disconnect();
-    if (fs.existsSync(TEST_UPLOAD_DIR)) {
-      fs.rmdirSync(TEST_UPLOAD_DIR, { recursive: true });
+    delete process.env.STORAGE_ROOT;
+    if (fs.existsSync(TEST_STORAGE_ROOT)) {
+      fs.rmSync(TEST_STORAGE_ROOT, { recursive: true });
     }
   });
 
@@ -86,7 +89,7 @@ describe('Image Cleanup Utility', () => {
     console.log(`testCar: ${testCar}`);
     const testCarById = await Car.find({ _id: testCar._id });
     console.log(`testCarById: ${testCarById}`);
-    await cleanOrphanedImages();
+    await cleanOrphanedImages({ minAgeMs: 0 });
 
     // Verify results
     const remainingFiles = fs.readdirSync(TEST_UPLOAD_DIR);
@@ -94,4 +97,89 @@ describe('Image Cleanup Utility', () => {
     expect(remainingFiles).to.include(usedFile);
     expect(remainingFiles).to.not.include(orphanFile);
   });
+
+  it('should keep gallery images', async () => {
+    const coverFile = 'cover-image.jpg';
+    const galleryFile = 'gallery-image.jpg';
+    const orphanFile = 'orphan-image.jpg';
+
+    [coverFile, galleryFile, orphanFile].forEach(file => {
+      fs.writeFileSync(path.join(TEST_UPLOAD_DIR, file), 'dummy');
+    });
+
+    await Car.create({
+      images: [
+        { url: `/images/cars/${coverFile}`, alt: 'Front view' },
+        { url: `/images/cars/${galleryFile}`, alt: 'Interior' }
+      ],
+      brand: 'Test',
+      model: 'Gallery',
+      year: 2023,
+      priceByDay: 50,
+      registrationNumber: 'TEST456',
+      locationId: testLocation._id
+    });
+
+    await cleanOrphanedImages({ minAgeMs: 0 });
+
+    const remainingFiles = fs.readdirSync(TEST_UPLOAD_DIR);
+    expect(remainingFiles).to.include.members([coverFile, galleryFile]);
+    expect(remainingFiles).to.not.include(orphanFile);
+  });
+
+  describe('Safety and reporting', () => {
+    const orphanFile = 'orphan-image.jpg';
+    const orphanPath = () => path.join(TEST_UPLOAD_DIR, orphanFile);
+
+    beforeEach(async () => {
+      await CleanupReport.deleteMany({});
+      // Start from an empty folder so earlier tests' files do not count
+      fs.rmSync(TEST_UPLOAD_DIR, { recursive: true, force: true });
+      fs.mkdirSync(TEST_UPLOAD_DIR, { recursive: true });
+      fs.writeFileSync(orphanPath(), 'dummy');
+    });
+
+    it('should keep files younger than the minimum age', async () => {
+      const report = await cleanOrphanedImages({ minAgeMs: 60 * 60 * 1000 });
+
+      expect(fs.existsSync(orphanPath())).to.be.true;
+      expect(report.recent).to.equal(1);
+      expect(report.deleted).to.equal(0);
+    });
+
+    it('should only list candidates in a dry run', async () => {
+      const report = await cleanOrphanedImages({ minAgeMs: 0, dryRun: true });
+
+      expect(fs.existsSync(orphanPath())).to.be.true;
+      expect(report.orphans).to.deep.equal([`cars/${orphanFile}`]);
+      expect(report.orphaned).to.equal(1);
+      expect(report.deleted).to.equal(0);
+    });
+
+    it('should count orphans beyond the listed keys', async () => {
+      const max = CleanupReport.MAX_LISTED_KEYS;
+      CleanupReport.MAX_LISTED_KEYS = 1;
+      try {
+        fs.writeFileSync(path.join(TEST_UPLOAD_DIR, 'second-orphan.jpg'), 'dummy');
+        const report = await cleanOrphanedImages({ minAgeMs: 0, dryRun: true });
+
+        expect(report.orphans).to.have.lengthOf(1);
+        expect(report.orphaned).to.equal(2);
+      } finally {
+        CleanupReport.MAX_LISTED_KEYS = max;
+      }
+    });
+
+    it('should persist a report for each run', async () => {
+      await cleanOrphanedImages({ minAgeMs: 0, trigger: 'manual' });
+
+      const [report] = await CleanupReport.find({});
+      expect(report.status).to.equal('completed');
+      expect(report.trigger).to.equal('manual');
+      expect(report.scanned).to.equal(1);
+      expect(report.deleted).to.equal(1);
+      expect(report.finishedAt).to.be.an.instanceOf(Date);
+      expect(fs.existsSync(orphanPath())).to.be.false;
+    });
+  });
 });
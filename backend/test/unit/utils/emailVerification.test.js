@@ -0,0 +1,83 @@
+// test/unit/utils/emailVerification.test.js
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { faker } = require('@faker-js/faker');
+const User = require('../../../models/User');
+const OutboxEmail = require('../../../models/OutboxEmail');
+const { verifyToken } = require('../../../utils/tokens');
+const {
+  sendVerificationEmail,
+  resendWaitMs,
+  RESEND_COOLDOWN_MS
+} = require('../../../utils/emailVerification');
+
+const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
+
+describe('Email Verification', () => {
+  const env = { ...process.env };
+  const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'carbnr-verify-'));
+
+  before(async () => {
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_DIR = mailDir;
+    process.env.JWT_SECRET = 'test-secret';
+    await mongoose.connect(TEST_DB_URI);
+    await mongoose.connection.db.dropDatabase();
+  });
+
+  afterEach(async () => {
+    await Promise.all([User.deleteMany({}), OutboxEmail.deleteMany({})]);
+  });
+
+  after(async () => {
+    process.env = env;
+    fs.rmSync(mailDir, { recursive: true });
+    await mongoose.disconnect();
+  });
+
+  it('should email a link carrying a token for the address', async () => {
+    const user = await User.create({
+      name: 'Ana',
+      email: faker.internet.email(),
+      password: 'password123'
+    });
+
+    const email = await sendVerificationEmail(user);
+    // The outbox drops the body once sent, so read the delivered message
+    const [file] = fs.readdirSync(mailDir);
+    const message = JSON.parse(fs.readFileSync(path.join(mailDir, file)));
+    const token = message.text.match(/token=([\w.-]+)/)[1];
+
+    expect(email.template).to.equal('emailVerification');
+    expect(email.status).to.equal('sent');
+    expect(verifyToken(token, 'email')).to.include({
+      id: user._id.toString(),
+      email: user.email
+    });
+  });
+
+  it('should record when the link was sent', async () => {
+    const user = await User.create({
+      name: 'Ana',
+      email: faker.internet.email(),
+      password: 'password123'
+    });
+
+    await sendVerificationEmail(user);
+    const found = await User.findById(user._id).select('+verificationSentAt');
+
+    expect(found.verificationSentAt).to.be.a('date');
+    expect(resendWaitMs(found)).to.be.above(0);
+  });
+
+  it('should allow a resend once the cooldown has passed', () => {
+    expect(resendWaitMs({})).to.equal(0);
+    expect(resendWaitMs({ verificationSentAt: new Date(Date.now() - RESEND_COOLDOWN_MS - 1) }))
+      .to.equal(0);
+    expect(resendWaitMs({ verificationSentAt: new Date() }))
+      .to.be.within(RESEND_COOLDOWN_MS - 1000, RESEND_COOLDOWN_MS);
+  });
+});
@@ -0,0 +1,238 @@
+// test/unit/utils/mail.test.js
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const { sendEmail, processOutbox, retryDelayMs } = require('../../../utils/mail');
+const { renderTemplate, TEMPLATES } = require('../../../utils/mail/templates');
+const { getTransport } = require('../../../utils/mail/transport');
+const OutboxEmail = require('../../../models/OutboxEmail');
+
+const TEST_DB_URI = 'mongodb://localhost:27017/car-rental-test';
+
+const reservation = {
+  id: '64b7f0c2a1b2c3d4e5f60718',
+  startDate: new Date('2030-06-03T13:00:00Z'),
+  endDate: new Date('2030-06-05T13:00:00Z'),
+  totalPrice: 240,
+  refundAmount: 120,
+  refundPercent: 50
+};
+const car = { brand: 'Toyota', model: 'Camry' };
+
+// Transport that fails the first `failures` sends
+const flakyTransport = (failures) => {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+  let calls = 0;
+  return {
+    sendMail: async (message) => {
+      calls += 1;
+      if (calls <= failures) throw new Error('Connection refused');
+      return json.sendMail(message);
+    }
+  };
+};
+
+describe('Email Templates', () => {
+  it('should render every template with subject, text and HTML', () => {
+    const data = {
+      name: 'Ana',
+      resetUrl: 'http://localhost:5173/reset-password?token=abc',
+      expiresInMinutes: 10,
+      reservation,
+      car
+    };
+
+    TEMPLATES.forEach(template => {
+      const email = renderTemplate(template, data);
+      expect(email.subject, template).to.be.a('string').and.not.empty;
+      expect(email.text, template).to.include('Ana');
+      expect(email.html, template).to.include('<html>');
+    });
+  });
+
+  it('should include the reset link and expiry', () => {
+    const email = renderTemplate('passwordReset', {
+      name: 'Ana',
+      resetUrl: 'http://localhost:5173/reset-password?token=abc',
+      expiresInMinutes: 10
+    });
+
+    expect(email.text).to.include('http://localhost:5173/reset-password?token=abc');
+    expect(email.text).to.include('10 minutes');
+  });
+
+  it('should show booking times in the pickup location time zone', () => {
+    const email = renderTemplate('reservationConfirmation', {
+      name: 'Ana',
+      reservation,
+      car,
+      pickupLocation: { name: 'Downtown', address: '1 Main St', timezone: 'America/New_York' }
+    });
+
+    expect(email.subject).to.equal('Your Toyota Camry booking');
+    expect(email.text).to.include('Jun 3, 2030, 9:00 AM EDT at Downtown, 1 Main St');
+    expect(email.text).to.include('Total: $240.00');
+  });
+
+  it('should list the refund on cancellations', () => {
+    const email = renderTemplate('reservationCancellation', { name: 'Ana', reservation, car });
+    expect(email.text).to.include('Refund: $120.00 (50%)');
+  });
+
+  it('should escape user content in HTML', () => {
+    const email = renderTemplate('welcome', { name: '<script>alert(1)</script>' });
+    expect(email.html).to.not.include('<script>');
+    expect(email.html).to.include('&lt;script&gt;');
+  });
+
+  it('should reject unknown templates', () => {
+    expect(() => renderTemplate('newsletter', {})).to.throw('Unknown email template: newsletter');
+  });
+});
+
+describe('Email Transports', () => {
+  it('should write messages to MAIL_DIR with the file transport', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carbnr-mail-'));
+    try {
+      const transport = getTransport({ MAIL_TRANSPORT: 'file', MAIL_DIR: dir });
+      await transport.sendMail({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'Body' });
+
+      const [file] = fs.readdirSync(dir);
+      const message = JSON.parse(fs.readFileSync(path.join(dir, file)));
+      expect(message.subject).to.equal('Hi');
+      expect(message.to[0].address).to.equal('b@example.com');
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+
+  it('should default to a local SMTP catcher', () => {
+    const transport = getTransport({});
+    expect(transport.options.host).to.equal('localhost');
+    expect(transport.options.port).to.equal(1025);
+  });
+
+  it('should back off exponentially between retries', () => {
+    expect(retryDelayMs(1)).to.equal(60 * 1000);
+    expect(retryDelayMs(3)).to.equal(4 * 60 * 1000);
+    expect(retryDelayMs(20)).to.equal(6 * 60 * 60 * 1000);
+  });
+});
+
+describe('Email Outbox', () => {
+  before(async () => {
+    await mongoose.connect(TEST_DB_URI);
+    await mongoose.connection.db.dropDatabase();
+  });
+
+  afterEach(async () => {
+    await OutboxEmail.deleteMany({});
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+  });
+
+  it('should store and send an email', async () => {
+    const email = await sendEmail('welcome', 'Ana@Example.com', { name: 'Ana' }, {
+      transport: getTransport({ MAIL_TRANSPORT: 'json' })
+    });
+
+    const stored = await OutboxEmail.findById(email._id);
+    expect(stored.status).to.equal('sent');
+    expect(stored.to).to.equal('ana@example.com');
+    expect(stored.attempts).to.equal(1);
+    expect(stored.messageId).to.exist;
+    expect(stored.text).to.be.undefined;
+    expect(stored.html).to.be.undefined;
+  });
+
+  it('should return before delivery in the background', async () => {
+    let release;
+    const transport = {
+      sendMail: () => new Promise(resolve => { release = () => resolve({ messageId: 'slow' }); })
+    };
+
+    const email = await sendEmail('welcome', 'ana@example.com', { name: 'Ana' }, {
+      transport,
+      background: true
+    });
+
+    expect(email.status).to.equal('sending');
+    release();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect((await OutboxEmail.findById(email._id)).status).to.equal('sent');
+  });
+
+  it('should keep failed sends pending for a later retry', async () => {
+    const email = await sendEmail('welcome', 'ana@example.com', { name: 'Ana' }, {
+      transport: flakyTransport(1)
+    });
+
+    expect(email.status).to.equal('pending');
+    expect(email.lastError).to.equal('Connection refused');
+    expect(email.text).to.include('Ana');
+    expect(email.nextAttemptAt.getTime()).to.be.above(Date.now());
+  });
+
+  it('should resolve with null instead of throwing', async () => {
+    const email = await sendEmail('newsletter', 'ana@example.com', {});
+    expect(email).to.be.null;
+  });
+
+  it('should retry due emails', async () => {
+    const transport = flakyTransport(1);
+    const email = await sendEmail('welcome', 'ana@example.com', { name: 'Ana' }, { transport });
+    await OutboxEmail.updateOne({ _id: email._id }, { nextAttemptAt: new Date(Date.now() - 1000) });
+
+    const summary = await processOutbox({ transport });
+    const stored = await OutboxEmail.findById(email._id);
+
+    expect(summary).to.deep.equal({ sent: 1, retrying: 0, failed: 0 });
+    expect(stored.status).to.equal('sent');
+    expect(stored.attempts).to.equal(2);
+  });
+
+  it('should skip emails that are not due yet', async () => {
+    await sendEmail('welcome', 'ana@example.com', { name: 'Ana' }, { transport: flakyTransport(1) });
+
+    const summary = await processOutbox({ transport: getTransport({ MAIL_TRANSPORT: 'json' }) });
+    expect(summary.sent).to.equal(0);
+  });
+
+  it('should give up after maxAttempts', async () => {
+    const email = await OutboxEmail.create({
+      to: 'ana@example.com',
+      template: 'welcome',
+      subject: 'Welcome',
+      text: 'Hi',
+      attempts: 4,
+      maxAttempts: 5
+    });
+
+    const summary = await processOutbox({ transport: flakyTransport(10) });
+    const stored = await OutboxEmail.findById(email._id);
+
+    expect(summary.failed).to.equal(1);
+    expect(stored.status).to.equal('failed');
+    expect(stored.text).to.be.undefined;
+  });
+
+  it('should pick up sends that stalled', async () => {
+    const email = await OutboxEmail.create({
+      to: 'ana@example.com',
+      template: 'welcome',
+      subject: 'Welcome',
+      text: 'Hi',
+      status: 'sending',
+      lockedAt: new Date(Date.now() - 60 * 60 * 1000)
+    });
+
+    await processOutbox({ transport: getTransport({ MAIL_TRANSPORT: 'json' }) });
+    const stored = await OutboxEmail.findById(email._id);
+    expect(stored.status).to.equal('sent');
+  });
+});
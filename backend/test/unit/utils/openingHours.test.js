@@ -0,0 +1,61 @@
+// test/unit/utils/openingHours.test.js
+const { expect } = require('chai');
+const { localTime, isOpenAt, isValidTimeZone } = require('../../../utils/openingHours');
+
+// 2030-06-03 is a Monday
+const weekdays = [1, 2, 3, 4, 5].map(day => ({ day, open: '09:00', close: '17:00' }));
+
+describe('Opening Hours', () => {
+  it('should convert instants to local wall-clock time', () => {
+    expect(localTime(new Date('2030-06-03T02:30:00Z'), 'America/New_York')).to.deep.equal({
+      date: '2030-06-02',
+      day: 0,
+      minutes: 22 * 60 + 30
+    });
+    expect(localTime(new Date('2030-06-03T00:00:00Z'), 'UTC').minutes).to.equal(0);
+  });
+
+  it('should be open only within the weekly hours in the location time zone', () => {
+    const schedule = { openingHours: weekdays, timezone: 'Europe/Paris' };
+
+    // 09:30 and 17:30 in Paris (UTC+2 in summer)
+    expect(isOpenAt(schedule, new Date('2030-06-03T07:30:00Z'))).to.be.true;
+    expect(isOpenAt(schedule, new Date('2030-06-03T15:30:00Z'))).to.be.false;
+    // Closing time is exclusive
+    expect(isOpenAt(schedule, new Date('2030-06-03T15:00:00Z'))).to.be.false;
+    // Saturday
+    expect(isOpenAt(schedule, new Date('2030-06-08T10:00:00Z'))).to.be.false;
+  });
+
+  it('should treat a location without weekly hours as always open', () => {
+    expect(isOpenAt({}, new Date('2030-06-08T03:00:00Z'))).to.be.true;
+  });
+
+  it('should let date exceptions override the weekly hours', () => {
+    const schedule = {
+      openingHours: weekdays,
+      hoursExceptions: [
+        { date: '2030-06-03', closed: true },
+        { date: '2030-06-08', open: '10:00', close: '12:00' },
+        { date: '2030-06-08', open: '14:00', close: '16:00' }
+      ]
+    };
+
+    expect(isOpenAt(schedule, new Date('2030-06-03T10:00:00Z'))).to.be.false;
+    expect(isOpenAt(schedule, new Date('2030-06-08T11:00:00Z'))).to.be.true;
+    expect(isOpenAt(schedule, new Date('2030-06-08T13:00:00Z'))).to.be.false;
+    expect(isOpenAt(schedule, new Date('2030-06-08T15:00:00Z'))).to.be.true;
+  });
+
+  it('should allow closures on locations that are otherwise always open', () => {
+    const schedule = { hoursExceptions: [{ date: '2030-12-25', closed: true }] };
+
+    expect(isOpenAt(schedule, new Date('2030-12-25T12:00:00Z'))).to.be.false;
+    expect(isOpenAt(schedule, new Date('2030-12-26T12:00:00Z'))).to.be.true;
+  });
+
+  it('should validate time zone names', () => {
+    expect(isValidTimeZone('Asia/Tokyo')).to.be.true;
+    expect(isValidTimeZone('Mars/Olympus_Mons')).to.be.false;
+  });
+});
@@ -0,0 +1,162 @@
+// test/unit/utils/pricing.test.js
+const { expect } = require('chai');
+const {
+  calculatePrice,
+  priceExtras,
+  applyPromo,
+  calculateReturnCharges
+} = require('../../../utils/pricing');
+
+// 2030-06-03 is a Monday
+const monday = new Date('2030-06-03T10:00:00Z');
+const daysAfter = (date, days) => new Date(date.getTime() + days * 86400000);
+
+describe('Pricing Engine', () => {
+  it('should charge the daily rate for each started day', () => {
+    const quote = calculatePrice({
+      priceByDay: 50,
+      startDate: monday,
+      endDate: new Date(daysAfter(monday, 2).getTime() + 60 * 60 * 1000)
+    });
+
+    expect(quote.days).to.equal(3);
+    expect(quote.base).to.equal(150);
+    expect(quote.adjustments).to.be.empty;
+    expect(quote.discounts).to.be.empty;
+    expect(quote.total).to.equal(150);
+  });
+
+  it('should apply the weekend multiplier to Saturday and Sunday', () => {
+    const quote = calculatePrice({
+      priceByDay: 100,
+      startDate: daysAfter(monday, 4), // Friday
+      endDate: daysAfter(monday, 7), // Monday
+      rules: { weekendMultiplier: 1.5 }
+    });
+
+    expect(quote.base).to.equal(300);
+    expect(quote.adjustments).to.deep.equal([
+      { type: 'weekend', label: 'Weekend rate', amount: 100 }
+    ]);
+    expect(quote.total).to.equal(400);
+  });
+
+  it('should prefer car rate periods over location ones', () => {
+    const quote = calculatePrice({
+      priceByDay: 100,
+      startDate: monday,
+      endDate: daysAfter(monday, 2),
+      ratePeriods: [
+        { name: 'Summer', locationId: 'loc', startDate: monday, endDate: daysAfter(monday, 30), multiplier: 1.2 },
+        { name: 'Festival', carId: 'car', startDate: monday, endDate: daysAfter(monday, 1), dailyRate: 150 }
+      ]
+    });
+
+    expect(quote.adjustments).to.deep.equal([
+      { type: 'seasonal', label: 'Seasonal rate: Festival', amount: 50 },
+      { type: 'seasonal', label: 'Seasonal rate: Summer', amount: 20 }
+    ]);
+    expect(quote.total).to.equal(270);
+  });
+
+  it('should apply the weekly discount from seven days', () => {
+    const quote = calculatePrice({
+      priceByDay: 100,
+      startDate: monday,
+      endDate: daysAfter(monday, 7),
+      rules: { weeklyDiscountPercent: 10, monthlyDiscountPercent: 25 }
+    });
+
+    expect(quote.discounts).to.deep.equal([
+      { type: 'weekly', label: 'Weekly discount (10%)', amount: 70 }
+    ]);
+    expect(quote.total).to.equal(630);
+  });
+
+  it('should apply only the monthly discount from 28 days', () => {
+    const quote = calculatePrice({
+      priceByDay: 10,
+      startDate: monday,
+      endDate: daysAfter(monday, 28),
+      rules: { weeklyDiscountPercent: 10, monthlyDiscountPercent: 25 }
+    });
+
+    expect(quote.discounts).to.have.lengthOf(1);
+    expect(quote.discounts[0].type).to.equal('monthly');
+    expect(quote.total).to.equal(210);
+  });
+
+  it('should raise the total to the minimum charge', () => {
+    const quote = calculatePrice({
+      priceByDay: 20,
+      startDate: monday,
+      endDate: daysAfter(monday, 1),
+      rules: { minimumCharge: 45 }
+    });
+
+    expect(quote.adjustments).to.deep.equal([
+      { type: 'minimum_charge', label: 'Minimum charge', amount: 25 }
+    ]);
+    expect(quote.total).to.equal(45);
+  });
+
+  it('should price extras per day or per rental', () => {
+    const lines = priceExtras([
+      { name: 'Child seat', pricingType: 'per_day', unitPrice: 8, quantity: 2 },
+      { name: 'Full insurance', pricingType: 'per_rental', unitPrice: 45, quantity: 1 }
+    ], 3);
+
+    expect(lines).to.deep.equal([
+      { type: 'extra', label: 'Child seat x2', amount: 48 },
+      { type: 'extra', label: 'Full insurance x1', amount: 45 }
+    ]);
+  });
+
+  describe('Promo codes', () => {
+    const breakdown = { days: 2, dailyRate: 100, base: 200, adjustments: [], discounts: [], total: 200 };
+
+    it('should apply a percentage discount', () => {
+      const quote = applyPromo(breakdown, { code: 'SUMMER10', discountType: 'percentage', amount: 10 });
+
+      expect(quote.discounts).to.deep.equal([
+        { type: 'promo', label: 'Promo code SUMMER10', amount: 20 }
+      ]);
+      expect(quote.total).to.equal(180);
+    });
+
+    it('should not discount below zero', () => {
+      const quote = applyPromo(breakdown, { code: 'BIGDEAL', discountType: 'fixed', amount: 500 });
+
+      expect(quote.discounts[0].amount).to.equal(200);
+      expect(quote.total).to.equal(0);
+    });
+  });
+
+  describe('Return charges', () => {
+    const rules = { dailyMileageAllowance: 200, excessMileageRate: 0.5, refuelChargePerEighth: 12 };
+
+    it('should charge for mileage over the allowance and missing fuel', () => {
+      const charges = calculateReturnCharges({
+        pickup: { odometer: 10000, fuelLevel: 8 },
+        dropoff: { odometer: 10700, fuelLevel: 5 },
+        days: 3,
+        rules
+      });
+
+      expect(charges.distance).to.equal(700);
+      expect(charges.lines).to.deep.equal([
+        { type: 'excess_mileage', label: '100 km over allowance', amount: 50 },
+        { type: 'refuel', label: 'Refuel 3/8 tank', amount: 36 }
+      ]);
+      expect(charges.total).to.equal(86);
+    });
+
+    it('should not charge within the allowance or with unlimited mileage', () => {
+      const pickup = { odometer: 10000, fuelLevel: 6 };
+      const dropoff = { odometer: 12000, fuelLevel: 7 };
+
+      expect(calculateReturnCharges({ pickup, dropoff, days: 10, rules }).total).to.equal(0);
+      expect(calculateReturnCharges({ pickup, dropoff, days: 1, rules: {} }).total).to.equal(0);
+    });
+  });
+});
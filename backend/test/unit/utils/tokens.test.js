@@ -0,0 +1,95 @@
+// test/unit/utils/tokens.test.js
+const { expect } = require('chai');
+const jwt = require('jsonwebtoken');
+const {
+  signToken,
+  signEmailToken,
+  verifyToken,
+  hashToken,
+  cookieOptions
+} = require('../../../utils/tokens');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('Auth Tokens', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'shared-secret';
+    delete process.env.JWT_ACCESS_SECRET;
+    delete process.env.JWT_REFRESH_SECRET;
+  });
+
+  after(() => {
+    process.env = env;
+  });
+
+  it('should sign and verify access and refresh tokens', () => {
+    const access = verifyToken(signToken('access', userId), 'access');
+    const refresh = verifyToken(signToken('refresh', userId), 'refresh');
+
+    expect(access.id).to.equal(userId);
+    expect(refresh.id).to.equal(userId);
+    expect(refresh.exp - refresh.iat).to.equal(7 * 24 * 60 * 60);
+    expect(access.exp - access.iat).to.equal(15 * 60);
+  });
+
+  it('should carry the session id', () => {
+    const sessionId = '64b7f0c2a1b2c3d4e5f60719';
+    expect(verifyToken(signToken('refresh', userId, sessionId), 'refresh').sid).to.equal(sessionId);
+  });
+
+  it('should never sign the same token twice', () => {
+    const sessionId = '64b7f0c2a1b2c3d4e5f60719';
+    const first = signToken('refresh', userId, sessionId);
+    const second = signToken('refresh', userId, sessionId);
+
+    expect(second).to.not.equal(first);
+    expect(hashToken(second)).to.not.equal(hashToken(first));
+  });
+
+  it('should not accept a refresh token as an access token', () => {
+    const token = signToken('refresh', userId);
+    expect(() => verifyToken(token, 'access')).to.throw('Wrong token type');
+  });
+
+  it('should reject tokens without a type', () => {
+    const token = jwt.sign({ id: userId }, 'shared-secret');
+    expect(() => verifyToken(token, 'access')).to.throw('Wrong token type');
+  });
+
+  it('should use separate secrets when configured', () => {
+    process.env.JWT_ACCESS_SECRET = 'access-secret';
+    process.env.JWT_REFRESH_SECRET = 'refresh-secret';
+    const token = signToken('refresh', userId);
+
+    expect(() => jwt.verify(token, 'shared-secret')).to.throw();
+    expect(verifyToken(token, 'refresh').id).to.equal(userId);
+  });
+
+  it('should bind email verification tokens to the address', () => {
+    const token = signEmailToken(userId, 'ana@example.com');
+    const decoded = verifyToken(token, 'email');
+
+    expect(decoded).to.include({ id: userId, email: 'ana@example.com' });
+    expect(decoded.exp - decoded.iat).to.equal(24 * 60 * 60);
+    expect(() => verifyToken(token, 'access')).to.throw('Wrong token type');
+  });
+
+  it('should keep login challenges short-lived', () => {
+    const decoded = verifyToken(signToken('mfa', userId), 'mfa');
+    expect(decoded.exp - decoded.iat).to.equal(5 * 60);
+    expect(() => verifyToken(signToken('mfa', userId), 'access')).to.throw('Wrong token type');
+  });
+
+  it('should hash tokens deterministically', () => {
+    expect(hashToken('abc')).to.equal(hashToken('abc'));
+    expect(hashToken('abc')).to.match(/^[0-9a-f]{64}$/);
+    expect(hashToken('abc')).to.not.equal(hashToken('abd'));
+  });
+
+  it('should scope the refresh cookie to the auth routes', () => {
+    expect(cookieOptions('access')).to.include({ httpOnly: true, path: '/', maxAge: 15 * 60 * 1000 });
+    expect(cookieOptions('refresh')).to.include({ httpOnly: true, path: '/api/auth', sameSite: 'strict' });
+  });
+});
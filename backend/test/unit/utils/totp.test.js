@@ -0,0 +1,79 @@
+// test/unit/utils/totp.test.js
+const { expect } = require('chai');
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  codeForStep
+} = require('../../../utils/totp');
+
+// Shared secret from the RFC 6238 test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32', () => {
+    expect(RFC_SECRET).to.equal('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).to.equal('12345678901234567890');
+    expect(base32Decode('gezd gnbv')).to.deep.equal(base32Decode('GEZDGNBV'));
+    expect(() => base32Decode('not-base32!')).to.throw('Invalid base32 secret');
+  });
+
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [20000000000, '65353130']
+    ].forEach(([seconds, expected]) => {
+      expect(codeForStep(RFC_SECRET, Math.floor(seconds / 30), 8)).to.equal(expected);
+    });
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).to.equal('287082');
+  });
+
+  it('should accept codes from adjacent time steps only', () => {
+    const now = Date.UTC(2030, 5, 3, 12, 0, 0);
+    const secret = generateSecret();
+    const step = Math.floor(now / 30000);
+
+    expect(verifyTotp(secret, generateTotp(secret, now), { time: now })).to.equal(step);
+    expect(verifyTotp(secret, generateTotp(secret, now - 30000), { time: now })).to.equal(step - 1);
+    expect(verifyTotp(secret, generateTotp(secret, now + 30000), { time: now })).to.equal(step + 1);
+    expect(verifyTotp(secret, generateTotp(secret, now - 90000), { time: now })).to.be.null;
+  });
+
+  it('should reject malformed codes', () => {
+    const secret = generateSecret();
+    ['', '12345', '1234567', 'abcdef', null].forEach(code => {
+      expect(verifyTotp(secret, code)).to.be.null;
+    });
+  });
+
+  it('should generate 160-bit secrets', () => {
+    const secret = generateSecret();
+    expect(secret).to.match(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).to.have.lengthOf(20);
+    expect(generateSecret()).to.not.equal(secret);
+  });
+
+  it('should build an otpauth provisioning URI', () => {
+    const uri = new URL(provisioningUri(RFC_SECRET, 'admin@example.com'));
+
+    expect(uri.protocol).to.equal('otpauth:');
+    expect(uri.host).to.equal('totp');
+    expect(decodeURIComponent(uri.pathname)).to.equal('/CarBnR:admin@example.com');
+    expect(uri.searchParams.get('secret')).to.equal(RFC_SECRET);
+    expect(uri.searchParams.get('issuer')).to.equal('CarBnR');
+    expect(uri.searchParams.get('digits')).to.equal('6');
+  });
+
+  it('should generate distinct recovery codes', () => {
+    const codes = generateRecoveryCodes();
+    expect(codes).to.have.lengthOf(10);
+    expect(new Set(codes).size).to.equal(10);
+    codes.forEach(code => expect(code).to.match(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  });
+});
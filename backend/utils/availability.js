@@ -0,0 +1,236 @@
+// utils/availability.js
+const mongoose = require('mongoose');
+
+const HOUR_MS = 1000 * 60 * 60;
+const DAY_MS = HOUR_MS * 24;
+
+// Only these reservation states keep a car off the road
+const BLOCKING_STATUSES = ['pending', 'confirmed', 'active'];
+
+// Maintenance states that take a car out of service
+const MAINTENANCE_BLOCKING_STATUSES = ['scheduled', 'in_progress'];
+
+// Severe damage keeps a car off the road until it is resolved
+const DAMAGE_BLOCKING_FILTER = { severity: 'severe', status: { $in: ['open', 'in_repair'] } };
+
+// A car cannot be booked as requested (overlap, stock, location)
+class AvailabilityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AvailabilityError';
+  }
+}
+
+// Number of billable days between two dates (any started day counts)
+const calculateRentalDays = (startDate, endDate) => {
+  return Math.ceil((new Date(endDate) - new Date(startDate)) / DAY_MS);
+};
+
+// Blocking reservations that overlap the [startDate, endDate) window,
+// widened on both sides by the turnaround buffer
+const overlapFilter = (startDate, endDate, bufferHours = 0) => {
+  const buffer = bufferHours * HOUR_MS;
+  return {
+    status: { $in: BLOCKING_STATUSES },
+    startDate: { $lt: new Date(new Date(endDate).getTime() + buffer) },
+    endDate: { $gt: new Date(new Date(startDate).getTime() - buffer) }
+  };
+};
+
+// Turnaround hours for each car, taken from its location
+const getTurnaroundHours = async (carIds) => {
+  const cars = await mongoose.model('Car')
+    .find({ _id: { $in: carIds } })
+    .select('locationId')
+    .populate('location', 'turnaroundHours');
+
+  return new Map(cars.map(car => [
+    car._id.toString(),
+    car.location?.turnaroundHours || 0
+  ]));
+};
+
+// Blocking reservations for one car that clash with the window
+const findConflictingReservations = async (carId, startDate, endDate, excludeId) => {
+  const buffers = await getTurnaroundHours([carId]);
+  const query = {
+    ...overlapFilter(startDate, endDate, buffers.get(carId.toString())),
+    carId
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return mongoose.model('Reservation').find(query);
+};
+
+// Active maintenance blocks for one car that clash with the window
+const findMaintenanceConflicts = (carId, startDate, endDate) => {
+  return mongoose.model('Maintenance').find({
+    carId,
+    status: { $in: MAINTENANCE_BLOCKING_STATUSES },
+    startDate: { $lt: new Date(endDate) },
+    endDate: { $gt: new Date(startDate) }
+  });
+};
+
+// Subset of `carIds` with unresolved severe damage
+const getDamagedCarIds = async (carIds) => {
+  const damaged = await mongoose.model('DamageReport').distinct('carId', {
+    ...DAMAGE_BLOCKING_FILTER,
+    carId: { $in: carIds }
+  });
+  return new Set(damaged.map(id => id.toString()));
+};
+
+// Subset of `carIds` that is not free for the whole window
+const getUnavailableCarIds = async (carIds, startDate, endDate) => {
+  const buffers = await getTurnaroundHours(carIds);
+  const maxBuffer = Math.max(0, ...buffers.values());
+
+  const reservations = await mongoose.model('Reservation')
+    .find({
+      ...overlapFilter(startDate, endDate, maxBuffer),
+      carId: { $in: carIds }
+    })
+    .select('carId startDate endDate');
+
+  const maintenanceCarIds = await mongoose.model('Maintenance').distinct('carId', {
+    carId: { $in: carIds },
+    status: { $in: MAINTENANCE_BLOCKING_STATUSES },
+    startDate: { $lt: new Date(endDate) },
+    endDate: { $gt: new Date(startDate) }
+  });
+
+  const unavailable = await getDamagedCarIds(carIds);
+  maintenanceCarIds.forEach(id => unavailable.add(id.toString()));
+  reservations.forEach(reservation => {
+    const carId = reservation.carId.toString();
+    const buffer = (buffers.get(carId) || 0) * HOUR_MS;
+    if (reservation.startDate.getTime() < new Date(endDate).getTime() + buffer &&
+        reservation.endDate.getTime() > new Date(startDate).getTime() - buffer) {
+      unavailable.add(carId);
+    }
+  });
+  return unavailable;
+};
+
+// Where each car will be at `date`: the drop-off location of its last
+// blocking booking ending by then, otherwise its current location
+const getProjectedLocationIds = async (cars, date, excludeId) => {
+  const query = {
+    carId: { $in: cars.map(car => car._id) },
+    status: { $in: BLOCKING_STATUSES },
+    endDate: { $lte: new Date(date) },
+    dropoffLocationId: { $exists: true }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const reservations = await mongoose.model('Reservation')
+    .find(query)
+    .select('carId dropoffLocationId')
+    .sort({ endDate: -1 });
+
+  const projected = new Map(cars.map(car => [car._id.toString(), car.locationId.toString()]));
+  const seen = new Set();
+  reservations.forEach(reservation => {
+    const carId = reservation.carId.toString();
+    if (seen.has(carId)) return;
+    seen.add(carId);
+    projected.set(carId, reservation.dropoffLocationId.toString());
+  });
+  return projected;
+};
+
+// Cars with a blocking booking dropping them off at one of `locationIds`
+// by `date`. With the cars already there, a superset of the cars that
+// getProjectedLocationIds places at those locations.
+const getCarIdsArrivingAt = (locationIds, date) => {
+  return mongoose.model('Reservation').distinct('carId', {
+    status: { $in: BLOCKING_STATUSES },
+    endDate: { $lte: new Date(date) },
+    dropoffLocationId: { $in: locationIds }
+  });
+};
+
+// First blocking booking of a car that starts at or after `date`
+const findNextReservation = (carId, date, excludeId) => {
+  const query = {
+    carId,
+    status: { $in: BLOCKING_STATUSES },
+    startDate: { $gte: new Date(date) }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return mongoose.model('Reservation').findOne(query).sort({ startDate: 1 });
+};
+
+// Most units of an extra in use at the same time among `reservations`
+const peakUsage = (reservations, extraId) => {
+  const events = [];
+  reservations.forEach(reservation => {
+    const quantity = reservation.extras
+      .filter(extra => extra.extraId.equals(extraId))
+      .reduce((total, extra) => total + extra.quantity, 0);
+    if (!quantity) return;
+    events.push([reservation.startDate.getTime(), quantity]);
+    events.push([reservation.endDate.getTime(), -quantity]);
+  });
+
+  // Process returns before pickups at the same instant
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, change]) => {
+    current += change;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+};
+
+// Names of requested extras ({ extraId, quantity }) whose stock would run
+// out at some point during the window
+const findExtraShortages = async (extras, startDate, endDate, excludeId) => {
+  if (!extras.length) return [];
+
+  const catalog = await mongoose.model('Extra').find({
+    _id: { $in: extras.map(extra => extra.extraId) },
+    stock: { $ne: null }
+  });
+  if (!catalog.length) return [];
+
+  const query = {
+    ...overlapFilter(startDate, endDate),
+    'extras.extraId': { $in: catalog.map(extra => extra._id) }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  const reservations = await mongoose.model('Reservation')
+    .find(query)
+    .select('startDate endDate extras');
+
+  return catalog
+    .filter(item => {
+      const requested = extras
+        .filter(extra => item._id.equals(extra.extraId))
+        .reduce((total, extra) => total + extra.quantity, 0);
+      return peakUsage(reservations, item._id) + requested > item.stock;
+    })
+    .map(item => item.name);
+};
+
+module.exports = {
+  AvailabilityError,
+  BLOCKING_STATUSES,
+  MAINTENANCE_BLOCKING_STATUSES,
+  DAMAGE_BLOCKING_FILTER,
+  calculateRentalDays,
+  overlapFilter,
+  getTurnaroundHours,
+  findConflictingReservations,
+  findMaintenanceConflicts,
+  getDamagedCarIds,
+  findExtraShortages,
+  getUnavailableCarIds,
+  getProjectedLocationIds,
+  getCarIdsArrivingAt,
+  findNextReservation
+};
@@ -0,0 +1,143 @@
+// utils/calendar.js
+const mongoose = require('mongoose');
+const {
+  BLOCKING_STATUSES,
+  MAINTENANCE_BLOCKING_STATUSES,
+  DAMAGE_BLOCKING_FILTER,
+  getTurnaroundHours
+} = require('./availability');
+
+const HOUR_MS = 1000 * 60 * 60;
+const DAY_MS = HOUR_MS * 24;
+const MAX_DAYS = 366;
+
+// Reservation states that show as booked (past rentals included)
+const BOOKED_STATUSES = [...BLOCKING_STATUSES, 'completed'];
+
+const startOfUtcDay = date => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// UTC day starts from `from` to `to`, both inclusive
+const listDays = (from, to) => {
+  const days = [];
+  for (let day = startOfUtcDay(from); day <= new Date(to) && days.length < MAX_DAYS; ) {
+    days.push(day);
+    day = new Date(day.getTime() + DAY_MS);
+  }
+  return days;
+};
+
+// Validator for from/to query parameters; `from` defaults to now
+const assertValidRange = (from, to) => {
+  const days = (new Date(to) - (from ? new Date(from) : new Date())) / DAY_MS;
+  if (days < 0) throw new Error('to must not be before from');
+  if (days > MAX_DAYS) throw new Error(`Range cannot exceed ${MAX_DAYS} days`);
+  return true;
+};
+
+const overlaps = (interval, start, end) => interval.start < end && interval.end > start;
+
+// Per-day booked / blocked / free status for each car. Blocked days are
+// out of service (maintenance, damage, car disabled) or held for turnaround.
+const buildCalendars = async (cars, from, to) => {
+  const days = listDays(from, to);
+  if (!days.length) return cars.map(car => ({ carId: car.id, days: [] }));
+
+  const rangeStart = days[0];
+  const rangeEnd = new Date(days[days.length - 1].getTime() + DAY_MS);
+  const carIds = cars.map(car => car._id);
+
+  const [buffers, reservations, maintenance, damage] = await Promise.all([
+    getTurnaroundHours(carIds),
+    mongoose.model('Reservation')
+      .find({
+        carId: { $in: carIds },
+        status: { $in: BOOKED_STATUSES },
+        startDate: { $lt: rangeEnd },
+        // Look back far enough to catch turnaround after earlier rentals
+        endDate: { $gt: new Date(rangeStart.getTime() - 7 * DAY_MS) }
+      })
+      .select('carId startDate endDate status'),
+    mongoose.model('Maintenance')
+      .find({
+        carId: { $in: carIds },
+        status: { $in: MAINTENANCE_BLOCKING_STATUSES },
+        startDate: { $lt: rangeEnd },
+        endDate: { $gt: rangeStart }
+      })
+      .select('carId startDate endDate'),
+    mongoose.model('DamageReport')
+      .find({ ...DAMAGE_BLOCKING_FILTER, carId: { $in: carIds } })
+      .select('carId createdAt')
+  ]);
+
+  return cars.map(car => {
+    const carId = car._id.toString();
+    const buffer = (buffers.get(carId) || 0) * HOUR_MS;
+    const bookings = reservations
+      .filter(r => r.carId.toString() === carId)
+      .map(r => ({ id: r.id, start: r.startDate, end: r.endDate }));
+    const turnarounds = bookings.flatMap(b => [
+      { start: new Date(b.start.getTime() - buffer), end: b.start },
+      { start: b.end, end: new Date(b.end.getTime() + buffer) }
+    ]).filter(t => t.end > t.start);
+    const blocks = maintenance
+      .filter(m => m.carId.toString() === carId)
+      .map(m => ({ id: m.id, start: m.startDate, end: m.endDate }));
+    // Open severe damage blocks every day from the report until resolved
+    const damagedSince = damage
+      .filter(d => d.carId.toString() === carId)
+      .reduce((earliest, d) => Math.min(earliest, d.createdAt.getTime()), Infinity);
+
+    return {
+      carId: car.id,
+      days: days.map(day => {
+        const dayEnd = new Date(day.getTime() + DAY_MS);
+        const date = day.toISOString().slice(0, 10);
+
+        const booked = bookings.filter(b => overlaps(b, day, dayEnd));
+        if (booked.length) {
+          return { date, status: 'booked', reservationIds: booked.map(b => b.id) };
+        }
+        const blocked = blocks.filter(b => overlaps(b, day, dayEnd));
+        if (blocked.length) {
+          return {
+            date,
+            status: 'blocked',
+            reason: 'maintenance',
+            maintenanceIds: blocked.map(b => b.id)
+          };
+        }
+        if (dayEnd.getTime() > damagedSince) return { date, status: 'blocked', reason: 'damage' };
+        if (!car.available) return { date, status: 'blocked', reason: 'unavailable' };
+        if (turnarounds.some(t => overlaps(t, day, dayEnd))) {
+          return { date, status: 'blocked', reason: 'turnaround' };
+        }
+        return { date, status: 'free' };
+      })
+    };
+  });
+};
+
+// Count of booked / blocked / free cars for each day of a set of calendars
+const summarizeOccupancy = (calendars) => {
+  if (!calendars.length) return [];
+
+  return calendars[0].days.map((day, i) => {
+    const counts = { booked: 0, blocked: 0, free: 0 };
+    calendars.forEach(calendar => { counts[calendar.days[i].status] += 1; });
+    return {
+      date: day.date,
+      ...counts,
+      occupancyRate: Math.round(counts.booked / calendars.length * 100) / 100
+    };
+  });
+};
+
+module.exports = {
+  assertValidRange,
+  buildCalendars,
+  summarizeOccupancy
+};
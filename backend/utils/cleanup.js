@@ -1,37 +1,79 @@
 // utils/cleanup.js
-const fs = require('fs');
-const path = require('path');
 const Car = require('../models/Car');
+const CleanupReport = require('../models/CleanupReport');
+const { getStorage } = require('./storage');
+
+// Files younger than this may belong to an upload that has not been saved
+// to a car yet, so they are never treated as orphans
+const DEFAULT_MIN_AGE_MS = (parseInt(process.env.IMAGE_CLEANUP_MIN_AGE_MINUTES) || 60) * 60 * 1000;
+
+// Storage keys referenced by any car (cover imageUrl plus every gallery
+// image and its variants), streamed so the fleet is never fully in memory
+const collectUsedKeys = async (storage) => {
+  const used = new Set();
+  const cursor = Car.find({}).select('imageUrl images').cursor();
+  for await (const car of cursor) {
+    [car.imageUrl, ...car.images.flatMap(image => image.fileUrls())]
+      .map(url => storage.keyFromUrl(url))
+      .filter(Boolean)
+      .forEach(key => used.add(key));
+  }
+  return used;
+};
+
+// Delete car images no car references. Options: dryRun (only list
+// candidates), minAgeMs (grace period), trigger/triggeredBy for the report.
+// Always resolves with the persisted CleanupReport.
+const cleanOrphanedImages = async ({
+  dryRun = false,
+  minAgeMs = DEFAULT_MIN_AGE_MS,
+  trigger = 'schedule',
+  triggeredBy
+} = {}) => {
+  const report = await CleanupReport.create({ trigger, triggeredBy, dryRun, minAgeMs });
 
-const cleanOrphanedImages = async () => {
   try {
-    // Get all used image URLs from the database
-    const cars = await Car.find({});
-    const usedImages = cars.map(car => 
-      car.imageUrl.split('/images/cars/')[1]
-    ).filter(Boolean);
-    console.log(`usedImages: ${usedImages}`);
-    // Scan uploads directory
-    const uploadDir = path.join(__dirname, '../uploads/cars');
-    if (!fs.existsSync(uploadDir)) return;
-
-    const files = fs.readdirSync(uploadDir);
-    console.log(`files: ${files}`);
-
-    // Delete orphaned files
-    files.forEach(file => {
-      if (!usedImages.includes(file)) {
-        const filePath = path.join(uploadDir, file);
-        console.log(`filePath: ${filePath}`);
-        fs.unlinkSync(filePath);
-        console.log(`Deleted orphaned file: ${file}`);
+    const storage = getStorage();
+    const usedKeys = await collectUsedKeys(storage);
+    const cutoff = Date.now() - minAgeMs;
+
+    for await (const { key, lastModified } of storage.list('cars/')) {
+      report.scanned += 1;
+      if (usedKeys.has(key)) {
+        report.kept += 1;
+        continue;
+      }
+      if (lastModified.getTime() > cutoff) {
+        report.recent += 1;
+        continue;
       }
-    });
 
-    console.log('Cleanup completed');
+      report.orphaned += 1;
+      if (report.orphans.length < CleanupReport.MAX_LISTED_KEYS) report.orphans.push(key);
+      if (dryRun) continue;
+      try {
+        await storage.remove(key);
+        report.deleted += 1;
+      } catch (err) {
+        report.failures.push({ key, message: err.message });
+      }
+    }
+
+    report.status = 'completed';
   } catch (err) {
     console.error('Cleanup error:', err);
+    report.status = 'failed';
+    report.error = err.message;
   }
+
+  report.finishedAt = new Date();
+  await report.save();
+  console.log(
+    `Cleanup ${report.status}${dryRun ? ' (dry run)' : ''}: ` +
+    `${report.scanned} scanned, ${report.kept} kept, ${report.recent} recent, ` +
+    `${report.orphaned} orphaned, ${report.deleted} deleted`
+  );
+  return report;
 };
 
-module.exports = { cleanOrphanedImages };
+module.exports = { cleanOrphanedImages, DEFAULT_MIN_AGE_MS };
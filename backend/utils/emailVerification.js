@@ -0,0 +1,27 @@
+// utils/emailVerification.js
+const User = require('../models/User');
+const { signEmailToken, EMAIL_TOKEN_TTL_MS } = require('./tokens');
+const { sendEmail } = require('./mail');
+const { appUrl } = require('./mail/templates');
+
+// Minimum gap between verification emails to one user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Email `user` a fresh verification link and record when it was sent
+const sendVerificationEmail = async (user) => {
+  const token = signEmailToken(user._id, user.email);
+  await User.updateOne({ _id: user._id }, { verificationSentAt: new Date() });
+  return sendEmail('emailVerification', user.email, {
+    name: user.name,
+    verifyUrl: appUrl(`/verify-email?token=${token}`),
+    expiresInHours: EMAIL_TOKEN_TTL_MS / (60 * 60 * 1000)
+  });
+};
+
+// Milliseconds until another verification email may be sent, 0 if now
+const resendWaitMs = (user) => {
+  if (!user.verificationSentAt) return 0;
+  return Math.max(0, user.verificationSentAt.getTime() + RESEND_COOLDOWN_MS - Date.now());
+};
+
+module.exports = { sendVerificationEmail, resendWaitMs, RESEND_COOLDOWN_MS };
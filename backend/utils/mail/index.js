@@ -0,0 +1,110 @@
+// utils/mail/index.js
+const OutboxEmail = require('../../models/OutboxEmail');
+const { renderTemplate } = require('./templates');
+const { getTransport } = require('./transport');
+
+// Sends that stall longer than this (e.g. the process died) are retried
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// 1, 2, 4, 8... minutes after each failed attempt, capped at six hours
+const retryDelayMs = attempts =>
+  Math.min(2 ** (attempts - 1) * 60 * 1000, MAX_RETRY_DELAY_MS);
+
+const fromAddress = () => process.env.MAIL_FROM || 'CarBnR <no-reply@carbnr.local>';
+
+// One attempt at sending a claimed outbox email; records the outcome
+const deliver = async (email, transport) => {
+  email.attempts += 1;
+  try {
+    const info = await transport.sendMail({
+      from: fromAddress(),
+      to: email.to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html
+    });
+    email.status = 'sent';
+    email.sentAt = new Date();
+    email.messageId = info.messageId;
+    email.lastError = undefined;
+  } catch (err) {
+    email.lastError = err.message;
+    if (email.attempts >= email.maxAttempts) {
+      email.status = 'failed';
+    } else {
+      email.status = 'pending';
+      email.nextAttemptAt = new Date(Date.now() + retryDelayMs(email.attempts));
+    }
+  }
+  // Bodies can hold reset and verification links; keep them only while a
+  // send may still be retried
+  if (email.status !== 'pending') {
+    email.text = undefined;
+    email.html = undefined;
+  }
+  email.lockedAt = undefined;
+  await email.save();
+  return email;
+};
+
+// Render `template`, store it in the outbox and try to send it right away.
+// Never rejects: mail problems are logged and retried by processOutbox, so
+// callers can fire and forget. Resolves with the outbox email, or null if
+// it could not even be stored. With `background`, resolves as soon as the
+// email is stored instead of waiting for the first send attempt.
+const sendEmail = async (template, to, data, { transport = getTransport(), background = false } = {}) => {
+  let email;
+  try {
+    email = await OutboxEmail.create({
+      to,
+      template,
+      ...renderTemplate(template, data),
+      status: 'sending',
+      lockedAt: new Date()
+    });
+  } catch (err) {
+    console.error(`Failed to queue ${template} email:`, err);
+    return null;
+  }
+
+  const attempt = deliver(email, transport)
+    .then(() => {
+      if (email.status !== 'sent') {
+        console.error(`Email ${email.id} (${template}) not sent: ${email.lastError}`);
+      }
+    })
+    .catch(err => console.error(`Failed to send ${template} email:`, err));
+  if (!background) await attempt;
+  return email;
+};
+
+// Retry due outbox emails, oldest first. Each one is claimed atomically so
+// overlapping runs never send the same email twice.
+const processOutbox = async ({ limit = 50, transport = getTransport() } = {}) => {
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const email = await OutboxEmail.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { status: 'sending', lockedAt: now },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!email) break;
+
+    await deliver(email, transport);
+    if (email.status === 'sent') summary.sent += 1;
+    else if (email.status === 'failed') summary.failed += 1;
+    else summary.retrying += 1;
+  }
+
+  return summary;
+};
+
+module.exports = { sendEmail, processOutbox, retryDelayMs };
@@ -0,0 +1,141 @@
+// utils/mail/templates.js
+// Each template takes plain data and returns { subject, text, html }
+
+const APP_NAME = 'CarBnR';
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Links point at the first configured client origin
+const appUrl = (path) => {
+  const origin = process.env.CLIENT_URL?.split(',')[0] || 'http://localhost:5173';
+  return `${origin.replace(/\/$/, '')}${path}`;
+};
+
+// Dates are shown in the location's time zone when known
+const formatDate = (date, timeZone = 'UTC') => new Date(date).toLocaleString('en-US', {
+  timeZone,
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+const formatMoney = amount => `$${Number(amount || 0).toFixed(2)}`;
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h1 style="font-size: 20px;">${escapeHtml(title)}</h1>
+    ${body}
+    <p style="color: #888; font-size: 12px; margin-top: 32px;">${APP_NAME}</p>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 16px; ` +
+  `background: #1a73e8; color: #fff; text-decoration: none; border-radius: 4px;">` +
+  `${escapeHtml(label)}</a></p>`;
+
+// [label, value] pairs as text lines and an HTML table
+const details = rows => ({
+  text: rows.map(([label, value]) => `${label}: ${value}`).join('\n'),
+  html: '<table style="border-collapse: collapse;">' + rows.map(([label, value]) =>
+    `<tr><td style="padding: 4px 12px 4px 0; color: #666;">${escapeHtml(label)}</td>` +
+    `<td style="padding: 4px 0;">${escapeHtml(value)}</td></tr>`
+  ).join('') + '</table>'
+});
+
+const carName = car => car ? `${car.brand} ${car.model}` : 'your car';
+
+const templates = {
+  passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    text: `Hi ${name},\n\n` +
+      `Use this link to choose a new password. It expires in ${expiresInMinutes} minutes.\n\n` +
+      `${resetUrl}\n\n` +
+      'If you did not ask for a reset, you can ignore this email.',
+    html: layout('Reset your password',
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>Use the button below to choose a new password. It expires in ${escapeHtml(expiresInMinutes)} minutes.</p>` +
+      button(resetUrl, 'Reset password') +
+      '<p>If you did not ask for a reset, you can ignore this email.</p>')
+  }),
+
+  emailVerification: ({ name, verifyUrl, expiresInHours }) => ({
+    subject: `Confirm your ${APP_NAME} email address`,
+    text: `Hi ${name},\n\n` +
+      `Please confirm your email address to start booking. The link expires in ${expiresInHours} hours.\n\n` +
+      `${verifyUrl}`,
+    html: layout('Confirm your email address',
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>Please confirm your email address to start booking. The link expires in ${escapeHtml(expiresInHours)} hours.</p>` +
+      button(verifyUrl, 'Confirm email'))
+  }),
+
+  welcome: ({ name }) => ({
+    subject: `Welcome to ${APP_NAME}`,
+    text: `Hi ${name},\n\nYour account is ready. Sign in to book your first car:\n\n${appUrl('/login')}`,
+    html: layout(`Welcome to ${APP_NAME}`,
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      '<p>Your account is ready. Sign in to book your first car.</p>' +
+      button(appUrl('/login'), 'Sign in'))
+  }),
+
+  reservationConfirmation: ({ name, reservation, car, pickupLocation, dropoffLocation }) => {
+    const rows = details([
+      ['Booking', reservation.id],
+      ['Car', carName(car)],
+      ['Pickup', `${formatDate(reservation.startDate, pickupLocation?.timezone)}` +
+        (pickupLocation ? ` at ${pickupLocation.name}, ${pickupLocation.address}` : '')],
+      ['Return', `${formatDate(reservation.endDate, dropoffLocation?.timezone)}` +
+        (dropoffLocation ? ` at ${dropoffLocation.name}, ${dropoffLocation.address}` : '')],
+      ['Total', formatMoney(reservation.totalPrice)]
+    ]);
+    return {
+      subject: `Your ${carName(car)} booking`,
+      text: `Hi ${name},\n\nThanks for booking with ${APP_NAME}.\n\n${rows.text}\n\n` +
+        `Manage your booking: ${appUrl('/reservations')}`,
+      html: layout('Booking received',
+        `<p>Hi ${escapeHtml(name)},</p><p>Thanks for booking with ${APP_NAME}.</p>` +
+        rows.html +
+        button(appUrl('/reservations'), 'Manage booking'))
+    };
+  },
+
+  reservationCancellation: ({ name, reservation, car, pickupLocation }) => {
+    const rows = details([
+      ['Booking', reservation.id],
+      ['Car', carName(car)],
+      ['Pickup', formatDate(reservation.startDate, pickupLocation?.timezone)],
+      ...(reservation.refundAmount !== undefined
+        ? [['Refund', `${formatMoney(reservation.refundAmount)} (${reservation.refundPercent}%)`]]
+        : [])
+    ]);
+    return {
+      subject: `Your ${carName(car)} booking was cancelled`,
+      text: `Hi ${name},\n\nYour booking has been cancelled.\n\n${rows.text}`,
+      html: layout('Booking cancelled',
+        `<p>Hi ${escapeHtml(name)},</p><p>Your booking has been cancelled.</p>` + rows.html)
+    };
+  }
+};
+
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template(data);
+};
+
+module.exports = {
+  TEMPLATES: Object.keys(templates),
+  renderTemplate,
+  escapeHtml,
+  appUrl
+};
@@ -0,0 +1,46 @@
+// utils/mail/transport.js
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '../../mail-outbox');
+
+// Renders messages like the JSON transport, then writes each one to
+// <dir>/<messageId>.json for tests and local inspection
+const createFileTransport = (dir) => {
+  const renderer = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    dir,
+    sendMail: async (message) => {
+      const info = await renderer.sendMail(message);
+      fs.mkdirSync(dir, { recursive: true });
+      const name = info.messageId.replace(/[<>]/g, '').replace(/[^\w.@-]/g, '_');
+      fs.writeFileSync(path.join(dir, `${name}.json`), info.message);
+      return info;
+    }
+  };
+};
+
+// Mail transport picked from the environment:
+//   MAIL_TRANSPORT=smtp (default)  SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+//                                  SMTP_USER, SMTP_PASS
+//   MAIL_TRANSPORT=json            messages are rendered but not sent
+//   MAIL_TRANSPORT=file            messages are written to MAIL_DIR
+// SMTP defaults to localhost:1025, where catchers such as Mailpit or
+// MailHog listen. Every transport exposes sendMail(message).
+const getTransport = (env = process.env) => {
+  if (env.MAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  if (env.MAIL_TRANSPORT === 'file') {
+    return createFileTransport(env.MAIL_DIR ? path.resolve(env.MAIL_DIR) : DEFAULT_MAIL_DIR);
+  }
+  return nodemailer.createTransport({
+    host: env.SMTP_HOST || 'localhost',
+    port: parseInt(env.SMTP_PORT) || 1025,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+};
+
+module.exports = { getTransport, createFileTransport, DEFAULT_MAIL_DIR };
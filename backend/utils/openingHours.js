@@ -0,0 +1,75 @@
+// utils/openingHours.js
+
+// 24-hour "HH:MM"; "24:00" closes at midnight
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimeZone = timeZone => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Wall-clock date ("YYYY-MM-DD"), weekday (0 = Sunday) and minute of the
+// day of `date` in `timeZone`
+const localTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+      .formatToParts(new Date(date))
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: toMinutes(`${parts.hour}:${parts.minute}`)
+  };
+};
+
+// Whether a location is open at `date`. Exceptions for a local date replace
+// that day's weekly hours; with no weekly hours at all the location is
+// treated as always open.
+const isOpenAt = ({ openingHours = [], hoursExceptions = [], timezone = 'UTC' }, date) => {
+  const local = localTime(date, timezone);
+  const exceptions = hoursExceptions.filter(exception => exception.date === local.date);
+
+  let ranges;
+  if (exceptions.length) {
+    ranges = exceptions.filter(exception => !exception.closed);
+  } else if (!openingHours.length) {
+    return true;
+  } else {
+    ranges = openingHours.filter(hours => hours.day === local.day);
+  }
+
+  return ranges.some(range =>
+    local.minutes >= toMinutes(range.open) && local.minutes < toMinutes(range.close)
+  );
+};
+
+module.exports = {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  toMinutes,
+  isValidTimeZone,
+  localTime,
+  isOpenAt
+};
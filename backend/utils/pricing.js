@@ -0,0 +1,234 @@
+// utils/pricing.js
+const mongoose = require('mongoose');
+const RatePeriod = require('../models/RatePeriod');
+const { calculateRentalDays } = require('./availability');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const WEEKEND_DAYS = [0, 6]; // Sunday, Saturday
+const WEEKLY_MIN_DAYS = 7;
+const MONTHLY_MIN_DAYS = 28;
+
+const round = amount => Math.round(amount * 100) / 100;
+const sum = items => items.reduce((total, item) => total + item.amount, 0);
+
+// Car-specific periods take precedence over location-wide ones
+const findRatePeriod = (ratePeriods, day) => {
+  const matches = ratePeriods.filter(period =>
+    new Date(period.startDate) <= day && new Date(period.endDate) > day
+  );
+  return matches.find(period => period.carId) || matches[0];
+};
+
+// Itemized price for renting at `priceByDay` between two dates
+const calculatePrice = ({ priceByDay, startDate, endDate, ratePeriods = [], rules = {} }) => {
+  const {
+    weekendMultiplier = 1,
+    weeklyDiscountPercent = 0,
+    monthlyDiscountPercent = 0,
+    minimumCharge = 0
+  } = rules;
+
+  const start = new Date(startDate);
+  const days = calculateRentalDays(startDate, endDate);
+  const base = days * priceByDay;
+
+  const seasonal = new Map();
+  let weekendAmount = 0;
+
+  for (let i = 0; i < days; i++) {
+    const day = new Date(start.getTime() + i * DAY_MS);
+    let rate = priceByDay;
+
+    const period = findRatePeriod(ratePeriods, day);
+    if (period) {
+      const seasonalRate = period.dailyRate != null
+        ? period.dailyRate
+        : priceByDay * period.multiplier;
+      seasonal.set(period.name, (seasonal.get(period.name) || 0) + seasonalRate - priceByDay);
+      rate = seasonalRate;
+    }
+
+    if (WEEKEND_DAYS.includes(day.getUTCDay())) {
+      weekendAmount += rate * (weekendMultiplier - 1);
+    }
+  }
+
+  const adjustments = [...seasonal].map(([name, amount]) => ({
+    type: 'seasonal',
+    label: `Seasonal rate: ${name}`,
+    amount: round(amount)
+  }));
+  if (weekendAmount) {
+    adjustments.push({ type: 'weekend', label: 'Weekend rate', amount: round(weekendAmount) });
+  }
+
+  const subtotal = base + sum(adjustments);
+
+  const discounts = [];
+  if (days >= MONTHLY_MIN_DAYS && monthlyDiscountPercent > 0) {
+    discounts.push({
+      type: 'monthly',
+      label: `Monthly discount (${monthlyDiscountPercent}%)`,
+      amount: round(subtotal * monthlyDiscountPercent / 100)
+    });
+  } else if (days >= WEEKLY_MIN_DAYS && weeklyDiscountPercent > 0) {
+    discounts.push({
+      type: 'weekly',
+      label: `Weekly discount (${weeklyDiscountPercent}%)`,
+      amount: round(subtotal * weeklyDiscountPercent / 100)
+    });
+  }
+
+  let total = subtotal - sum(discounts);
+  if (total < minimumCharge) {
+    adjustments.push({
+      type: 'minimum_charge',
+      label: 'Minimum charge',
+      amount: round(minimumCharge - total)
+    });
+    total = minimumCharge;
+  }
+
+  return {
+    days,
+    dailyRate: priceByDay,
+    base: round(base),
+    adjustments,
+    discounts,
+    total: round(total)
+  };
+};
+
+// Add a one-way fee line to a price breakdown
+const applyOneWayFee = (breakdown, fee) => {
+  if (!fee) return breakdown;
+  return {
+    ...breakdown,
+    adjustments: [
+      ...breakdown.adjustments,
+      { type: 'one_way', label: 'One-way fee', amount: round(fee) }
+    ],
+    total: round(breakdown.total + fee)
+  };
+};
+
+// Price lines for booked extras ({ name, pricingType, unitPrice, quantity })
+const priceExtras = (extras, days) => extras.map(extra => ({
+  type: 'extra',
+  label: `${extra.name} x${extra.quantity}`,
+  amount: round(
+    extra.unitPrice * extra.quantity * (extra.pricingType === 'per_day' ? days : 1)
+  )
+}));
+
+// Add booked extras to a price breakdown
+const applyExtras = (breakdown, extras) => {
+  const lines = priceExtras(extras, breakdown.days);
+  return {
+    ...breakdown,
+    extras: lines,
+    total: round(breakdown.total + sum(lines))
+  };
+};
+
+// Discount a promo code ({ discountType, amount }) gives on `subtotal`
+const calculatePromoDiscount = (subtotal, { discountType, amount }) => {
+  const discount = discountType === 'percentage'
+    ? subtotal * amount / 100
+    : amount;
+  return round(Math.min(discount, subtotal));
+};
+
+// Add a promo code discount line to a price breakdown
+const applyPromo = (breakdown, promo) => {
+  const discount = calculatePromoDiscount(breakdown.total, promo);
+  return {
+    ...breakdown,
+    discounts: [
+      ...breakdown.discounts,
+      { type: 'promo', label: `Promo code ${promo.code}`, amount: discount }
+    ],
+    total: round(breakdown.total - discount)
+  };
+};
+
+// Charges due at return for kilometres over the allowance and fuel below
+// the pickup level. Inspections are { odometer, fuelLevel } with the fuel
+// level in eighths of a tank.
+const calculateReturnCharges = ({ pickup, dropoff, days, rules = {} }) => {
+  const lines = [];
+
+  const distance = dropoff.odometer - pickup.odometer;
+  if (rules.dailyMileageAllowance != null) {
+    const excess = distance - rules.dailyMileageAllowance * days;
+    if (excess > 0) {
+      lines.push({
+        type: 'excess_mileage',
+        label: `${excess} km over allowance`,
+        amount: round(excess * (rules.excessMileageRate || 0))
+      });
+    }
+  }
+
+  const missingFuel = pickup.fuelLevel - dropoff.fuelLevel;
+  if (missingFuel > 0) {
+    lines.push({
+      type: 'refuel',
+      label: `Refuel ${missingFuel}/8 tank`,
+      amount: round(missingFuel * (rules.refuelChargePerEighth || 0))
+    });
+  }
+
+  return { distance, lines, total: round(sum(lines)) };
+};
+
+// Price several cars for one window using their location rules and rate
+// periods, loading both once for all of them. Resolves to a Map of car id
+// to price breakdown.
+const quoteForCars = async (cars, startDate, endDate) => {
+  const locationIds = [...new Set(cars.map(car => car.locationId?.toString()))];
+  const [locations, ratePeriods] = await Promise.all([
+    mongoose.model('Location').find({ _id: { $in: locationIds } }).select('pricing'),
+    RatePeriod.find({
+      $or: [
+        { carId: { $in: cars.map(car => car._id) } },
+        { locationId: { $in: locationIds } }
+      ],
+      startDate: { $lt: new Date(endDate) },
+      endDate: { $gt: new Date(startDate) }
+    }).lean()
+  ]);
+
+  const rules = new Map(locations.map(location => [
+    location._id.toString(),
+    location.pricing?.toObject() || {}
+  ]));
+
+  return new Map(cars.map(car => [car._id.toString(), calculatePrice({
+    priceByDay: car.priceByDay,
+    startDate,
+    endDate,
+    ratePeriods: ratePeriods.filter(period =>
+      period.carId?.equals(car._id) || period.locationId?.equals(car.locationId)
+    ),
+    rules: rules.get(car.locationId?.toString()) || {}
+  })]));
+};
+
+// Price one car for a window using its location rules and rate periods
+const quoteForCar = async (car, startDate, endDate) => {
+  const quotes = await quoteForCars([car], startDate, endDate);
+  return quotes.get(car._id.toString());
+};
+
+module.exports = {
+  calculatePrice,
+  applyOneWayFee,
+  priceExtras,
+  applyExtras,
+  calculatePromoDiscount,
+  calculateReturnCharges,
+  applyPromo,
+  quoteForCars,
+  quoteForCar
+};
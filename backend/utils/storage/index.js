@@ -0,0 +1,50 @@
+// utils/storage/index.js
+const path = require('path');
+const { createLocalStorage, DEFAULT_ROOT } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Local storage root. UPLOAD_DIR is the older setting and names the cars
+// image folder inside the root, so deployments that still set it keep
+// reading and writing the same files.
+const localRoot = (env) => {
+  if (env.STORAGE_ROOT) return path.resolve(env.STORAGE_ROOT);
+  if (env.UPLOAD_DIR) return path.dirname(path.resolve(env.UPLOAD_DIR));
+  return DEFAULT_ROOT;
+};
+
+// Storage driver picked from the environment:
+//   STORAGE_DRIVER=local (default)  STORAGE_ROOT, STORAGE_PUBLIC_URL
+//   STORAGE_DRIVER=s3               S3_ENDPOINT, S3_REGION, S3_BUCKET,
+//                                   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//                                   S3_FORCE_PATH_STYLE, S3_PUBLIC_URL
+// Drivers share one interface: put(key, filePath), remove(key),
+// list(prefix), url(key), signedUrl(key, { expiresIn }), keyFromUrl(url).
+const getStorage = (env = process.env) => {
+  if (env.STORAGE_DRIVER === 's3') {
+    return createS3Storage({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION,
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false',
+      publicUrl: env.S3_PUBLIC_URL
+    });
+  }
+  return createLocalStorage({
+    root: localRoot(env),
+    baseUrl: env.STORAGE_PUBLIC_URL
+  });
+};
+
+// Delete stored files by URL, limited to keys under `prefix` so shared
+// assets (the default car image) and external URLs are never touched
+const removeUrls = async (urls, prefix) => {
+  const storage = getStorage();
+  const keys = urls
+    .map(url => storage.keyFromUrl(url))
+    .filter(key => key && key.startsWith(prefix));
+  await Promise.all(keys.map(key => storage.remove(key)));
+};
+
+module.exports = { getStorage, removeUrls };
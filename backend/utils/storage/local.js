@@ -0,0 +1,73 @@
+// utils/storage/local.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = path.join(__dirname, '../../uploads');
+
+// Files under a directory on this server, served by express.static at
+// `baseUrl`. Only suitable for a single app server.
+const createLocalStorage = ({ root = DEFAULT_ROOT, baseUrl = '/images' } = {}) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Depth-first walk yielding every file under `dir`
+  async function* walk(dir) {
+    if (!fs.existsSync(dir)) return;
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(entryPath);
+      } else if (entry.isFile()) {
+        yield entryPath;
+      }
+    }
+  }
+
+  return {
+    driver: 'local',
+    root,
+
+    async put(key, sourcePath) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(sourcePath, filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    // Stored objects whose key starts with `prefix`
+    async* list(prefix = '') {
+      const dir = path.join(root, path.dirname(`${prefix}x`));
+      for await (const filePath of walk(dir)) {
+        const key = path.relative(root, filePath).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+        const stats = await fs.promises.stat(filePath);
+        yield { key, size: stats.size, lastModified: stats.mtime };
+      }
+    },
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    // Files are public, so a signed URL is just the public one
+    async signedUrl(key) {
+      return this.url(key);
+    },
+
+    keyFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) return null;
+      return url.slice(baseUrl.length + 1);
+    }
+  };
+};
+
+module.exports = { createLocalStorage, DEFAULT_ROOT };
@@ -0,0 +1,190 @@
+// utils/storage/s3.js
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Minimal S3 client (AWS Signature V4 over fetch) for AWS S3 and
+// S3-compatible servers such as MinIO
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// encodeURIComponent also leaves !'()* alone, which S3 signs encoded
+const encode = value => encodeURIComponent(value)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = key => key.split('/').map(encode).join('/');
+
+const amzDateOf = date => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const canonicalQuery = query => Object.keys(query)
+  .sort()
+  .map(name => `${encode(name)}=${encode(query[name])}`)
+  .join('&');
+
+const decodeXml = value => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const xmlTag = (xml, name) => {
+  const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1]) : undefined;
+};
+
+const CONTENT_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', avif: 'image/avif', png: 'image/png' };
+const contentTypeOf = key => CONTENT_TYPES[key.split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+const createS3Storage = ({
+  endpoint,
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = true,
+  publicUrl
+}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs a bucket, access key id and secret access key');
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const origin = `${base.protocol}//${host}`;
+  const bucketPath = forcePathStyle ? `/${bucket}` : '';
+  const publicBase = (publicUrl || `${origin}${bucketPath}`).replace(/\/$/, '');
+
+  const scopeOf = date => `${amzDateOf(date).slice(0, 8)}/${region}/s3/aws4_request`;
+
+  const signature = (canonicalRequest, date) => {
+    const scope = scopeOf(date);
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDateOf(date),
+      scope,
+      sha256(canonicalRequest)
+    ].join('\n');
+
+    const [day] = scope.split('/');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, day), region)
+    );
+    return hmac(signingKey, stringToSign).toString('hex');
+  };
+
+  // Signed request against the bucket (`key` undefined) or an object
+  const request = async (method, key, { query = {}, body, headers = {} } = {}) => {
+    const date = new Date();
+    const uri = key === undefined ? (bucketPath || '/') : `${bucketPath}/${encodeKey(key)}`;
+    const queryString = canonicalQuery(query);
+    const payloadHash = body ? sha256(body) : sha256('');
+    const signed = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDateOf(date)
+    };
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      uri,
+      queryString,
+      names.map(name => `${name}:${signed[name]}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const response = await fetch(`${origin}${uri}${queryString ? `?${queryString}` : ''}`, {
+      method,
+      body,
+      headers: {
+        ...headers,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': signed['x-amz-date'],
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scopeOf(date)}, ` +
+          `SignedHeaders=${names.join(';')}, Signature=${signature(canonicalRequest, date)}`
+      }
+    });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const text = await response.text();
+      throw new Error(`S3 ${method} ${key || bucket} failed: ${response.status} ${text.slice(0, 200)}`);
+    }
+    return response;
+  };
+
+  return {
+    driver: 's3',
+
+    async put(key, sourcePath) {
+      const body = await fs.promises.readFile(sourcePath);
+      await request('PUT', key, {
+        body,
+        headers: { 'content-type': contentTypeOf(key) }
+      });
+    },
+
+    async remove(key) {
+      await request('DELETE', key);
+    },
+
+    // Stored objects whose key starts with `prefix`, page by page
+    async* list(prefix = '') {
+      let continuationToken;
+      do {
+        const query = { 'list-type': '2', prefix };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+        const xml = await (await request('GET', undefined, { query })).text();
+
+        for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          yield {
+            key: xmlTag(entry, 'Key'),
+            size: Number(xmlTag(entry, 'Size')),
+            lastModified: new Date(xmlTag(entry, 'LastModified'))
+          };
+        }
+        continuationToken = xmlTag(xml, 'IsTruncated') === 'true'
+          ? xmlTag(xml, 'NextContinuationToken')
+          : undefined;
+      } while (continuationToken);
+    },
+
+    url(key) {
+      return `${publicBase}/${encodeKey(key)}`;
+    },
+
+    // Presigned GET URL for private buckets
+    async signedUrl(key, { expiresIn = 900, date = new Date() } = {}) {
+      const uri = `${bucketPath}/${encodeKey(key)}`;
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${scopeOf(date)}`,
+        'X-Amz-Date': amzDateOf(date),
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const canonicalRequest = [
+        'GET',
+        uri,
+        canonicalQuery(query),
+        `host:${host}\n`,
+        'host',
+        UNSIGNED_PAYLOAD
+      ].join('\n');
+
+      return `${origin}${uri}?${canonicalQuery(query)}` +
+        `&X-Amz-Signature=${signature(canonicalRequest, date)}`;
+    },
+
+    keyFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(`${publicBase}/`)) return null;
+      try {
+        return url.slice(publicBase.length + 1).split('/').map(decodeURIComponent).join('/');
+      } catch (err) {
+        // Malformed escape such as a stray `%`: not one of our keys
+        return null;
+      }
+    }
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,88 @@
+// utils/tokens.js
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const EMAIL_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+// Between the password and the two-factor step of a login
+const MFA_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// JWT_SECRET alone is enough; the token type claim keeps a refresh token
+// from being used as an access token when both share it
+const secretFor = type => type === 'refresh'
+  ? process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+  : process.env.JWT_ACCESS_SECRET || process.env.JWT_SECRET;
+
+const TTL_MS = {
+  access: ACCESS_TOKEN_TTL_MS,
+  refresh: REFRESH_TOKEN_TTL_MS,
+  email: EMAIL_TOKEN_TTL_MS,
+  mfa: MFA_CHALLENGE_TTL_MS
+};
+const ttlFor = type => TTL_MS[type];
+
+// `sid` ties both tokens to the Session they were issued for; the random
+// `jti` keeps two tokens signed within the same second from being identical,
+// which refresh rotation and reuse detection rely on
+const signToken = (type, userId, sessionId) => jwt.sign(
+  { id: userId.toString(), sid: sessionId?.toString(), type, jti: crypto.randomUUID() },
+  secretFor(type),
+  { expiresIn: Math.floor(ttlFor(type) / 1000) }
+);
+
+// Email verification link token, bound to the address it was sent to so it
+// stops working if the user changes their email
+const signEmailToken = (userId, email) => jwt.sign(
+  { id: userId.toString(), email, type: 'email' },
+  secretFor('email'),
+  { expiresIn: Math.floor(EMAIL_TOKEN_TTL_MS / 1000) }
+);
+
+// Decoded payload; throws if the token is invalid, expired or of another type
+const verifyToken = (token, type) => {
+  const decoded = jwt.verify(token, secretFor(type));
+  if (decoded.type !== type) throw new Error('Wrong token type');
+  return decoded;
+};
+
+// Only hashes of refresh and reset tokens are stored
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const COOKIE_PATHS = { access: '/', refresh: '/api/auth' };
+
+const cookieOptions = type => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: COOKIE_PATHS[type],
+  maxAge: ttlFor(type)
+});
+
+// Issue both tokens as httpOnly cookies and return the pair
+const setAuthCookies = (res, userId, sessionId) => {
+  const accessToken = signToken('access', userId, sessionId);
+  const refreshToken = signToken('refresh', userId, sessionId);
+  res.cookie('accessToken', accessToken, cookieOptions('access'));
+  res.cookie('refreshToken', refreshToken, cookieOptions('refresh'));
+  return { accessToken, refreshToken };
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('accessToken', { path: COOKIE_PATHS.access });
+  res.clearCookie('refreshToken', { path: COOKIE_PATHS.refresh });
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  EMAIL_TOKEN_TTL_MS,
+  MFA_CHALLENGE_TTL_MS,
+  signToken,
+  signEmailToken,
+  verifyToken,
+  hashToken,
+  cookieOptions,
+  setAuthCookies,
+  clearAuthCookies
+};
@@ -0,0 +1,93 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30 second steps
+const crypto = require('crypto');
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const ISSUER = 'CarBnR';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 encoded as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+// HOTP (RFC 4226) value for one counter
+const codeForStep = (secret, step, digits = DIGITS) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(value).padStart(digits, '0');
+};
+
+const generateTotp = (secret, time = Date.now()) => codeForStep(secret, timeStep(time));
+
+// Time step the code belongs to, or null. `window` steps either side are
+// accepted to allow for clock drift.
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const input = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(input) || input.length !== DIGITS) return null;
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(input))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const provisioningUri = (secret, account) => {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// One-time backup codes such as "3f9a2-c81d0"
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  codeForStep
+};